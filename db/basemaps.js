@@ -0,0 +1,159 @@
+import fs from "fs";
+import path from "path";
+
+// Basemaps offered in the map's layer control. The server picks the
+// sources with BASEMAPS, a comma separated list of the ids below, and
+// the first one is shown by default. A local tile directory or MBTiles
+// file set with LOCAL_TILES is served at /tiles/{z}/{x}/{y}.png, so the
+// map can run on a network without internet access.
+
+const BASEMAP_SOURCES = {
+  osm: {
+    name: "OpenStreetMap",
+    url: "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+    maxZoom: 19,
+    attribution: "© OpenStreetMap contributors",
+  },
+  topo: {
+    name: "OpenTopoMap",
+    url: "https://tile.opentopomap.org/{z}/{x}/{y}.png",
+    maxZoom: 17,
+    attribution:
+      "© OpenStreetMap contributors, SRTM | Map style: © OpenTopoMap (CC-BY-SA)",
+  },
+  local: {
+    name: "Local tiles",
+    url: "/tiles/{z}/{x}/{y}.png",
+    maxZoom: 19,
+    attribution: "",
+  },
+  blank: {
+    name: "No basemap",
+    url: null,
+    maxZoom: 19,
+    attribution: "",
+  },
+};
+
+// Content types of the MBTiles tile formats
+const TILE_CONTENT_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+};
+
+// Tile source reading {z}/{x}/{y}.png files from a directory
+function createDirectorySource(directory) {
+  return {
+    metadata: {},
+    contentType: TILE_CONTENT_TYPES.png,
+
+    async get(z, x, y) {
+      try {
+        return await fs.promises.readFile(
+          path.join(directory, String(z), String(x), `${y}.png`)
+        );
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+// Tile source reading an MBTiles file. MBTiles stores rows in TMS order,
+// counted from the south, so rows are flipped. better-sqlite3 is an
+// optional dependency, since it needs a native build, so it is loaded
+// only for MBTiles files.
+async function createMBTilesSource(file) {
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch (error) {
+    throw new Error(
+      `Reading ${file} needs the better-sqlite3 package, which failed to load (${error.message}). Install it with npm install better-sqlite3, or use a tile directory.`
+    );
+  }
+  const db = new Database(file, { readonly: true, fileMustExist: true });
+  const metadata = Object.fromEntries(
+    db
+      .prepare("SELECT name, value FROM metadata")
+      .all()
+      .map(({ name, value }) => [name, value])
+  );
+  const query = db.prepare(
+    `SELECT tile_data FROM tiles
+    WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?`
+  );
+
+  return {
+    metadata,
+    contentType: TILE_CONTENT_TYPES[metadata.format] || TILE_CONTENT_TYPES.png,
+
+    async get(z, x, y) {
+      const row = query.get(z, x, Math.pow(2, z) - 1 - y);
+      return row ? row.tile_data : null;
+    },
+  };
+}
+
+// Open the local tile source at `location`, a directory or an .mbtiles
+// file, or return null if none is configured
+async function createLocalTileSource(location) {
+  if (!location) {
+    return null;
+  }
+  if (location.endsWith(".mbtiles")) {
+    return createMBTilesSource(location);
+  }
+  if (!fs.statSync(location).isDirectory()) {
+    throw new Error("LOCAL_TILES must be a directory or an .mbtiles file");
+  }
+  return createDirectorySource(location);
+}
+
+// Basemaps to offer, in order, from a comma separated list of ids. The
+// local basemap takes its name, attribution and zoom range from the
+// MBTiles metadata when there is some. Throws on unknown ids, or on the
+// local basemap without a local tile source.
+function getBasemaps(ids, localSource) {
+  const basemaps = ids
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean)
+    .map((id) => {
+      const source = BASEMAP_SOURCES[id];
+      if (!source) {
+        throw new Error(
+          `Unknown basemap ${id}, expected one of ${Object.keys(
+            BASEMAP_SOURCES
+          ).join(", ")}`
+        );
+      }
+      if (id !== "local") {
+        return { id, ...source };
+      }
+      if (!localSource) {
+        throw new Error("The local basemap needs LOCAL_TILES to be set");
+      }
+      const { metadata } = localSource;
+      return {
+        id,
+        ...source,
+        name: metadata.name || source.name,
+        attribution: metadata.attribution || source.attribution,
+        ...(metadata.minzoom && { minNativeZoom: Number(metadata.minzoom) }),
+        ...(metadata.maxzoom && { maxNativeZoom: Number(metadata.maxzoom) }),
+      };
+    });
+
+  if (basemaps.length === 0) {
+    throw new Error("BASEMAPS must list at least one basemap");
+  }
+  return basemaps;
+}
+
+export { createLocalTileSource, getBasemaps };
@@ -0,0 +1,242 @@
+import Memcached from "memcached";
+
+// Cache backends store string values under string keys with an expiry in
+// seconds (0 for no expiry). They all have the same async interface:
+// get(key), set(key, value, expires), del(key) and close().
+
+// Run a memcached client method as a promise
+function callMemcached(client, method, ...args) {
+  return new Promise((resolve, reject) => {
+    client[method](...args, (err, result) =>
+      err ? reject(err) : resolve(result)
+    );
+  });
+}
+
+// Backend storing entries in memcached
+function createMemcachedBackend(location) {
+  const client = new Memcached(location, {
+    retries: 3,
+    retry: 1000,
+    timeout: 500,
+    reconnect: 1000,
+  });
+
+  return {
+    name: "memcached",
+
+    async get(key) {
+      return (await callMemcached(client, "get", key)) ?? null;
+    },
+
+    set(key, value, expires) {
+      return callMemcached(client, "set", key, value, expires);
+    },
+
+    del(key) {
+      return callMemcached(client, "del", key);
+    },
+
+    async close() {
+      client.end();
+    },
+  };
+}
+
+// Backend storing entries in Redis. The client is loaded on first use so
+// the redis package is only needed when this backend is selected.
+function createRedisBackend(url) {
+  const ready = import("redis").then(({ createClient }) => {
+    // Fail commands while disconnected instead of queueing them, and keep
+    // reconnecting in the background
+    const client = createClient({ url, disableOfflineQueue: true });
+    client.on("error", (error) =>
+      console.error("Redis cache error:", error.message)
+    );
+    client.connect().catch(() => {});
+    return client;
+  });
+
+  return {
+    name: "redis",
+
+    async get(key) {
+      return (await ready).get(key);
+    },
+
+    async set(key, value, expires) {
+      const client = await ready;
+      await (expires > 0
+        ? client.set(key, value, { EX: expires })
+        : client.set(key, value));
+    },
+
+    async del(key) {
+      await (await ready).del(key);
+    },
+
+    async close() {
+      // Quit cleanly when connected, or stop reconnecting otherwise
+      const client = await ready;
+      if (client.isReady) {
+        await client.quit();
+      } else if (client.isOpen) {
+        await client.disconnect();
+      }
+    },
+  };
+}
+
+// In-process backend that evicts the least recently used entries once
+// it holds more than `maxEntries` entries or `maxBytes` of values
+function createLruBackend({ maxEntries = 10000, maxBytes = 64 * 1024 * 1024 }) {
+  const entries = new Map(); // Key -> { value, size, expiresAt }, oldest first
+  let bytes = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (entry) {
+      bytes -= entry.size;
+      entries.delete(key);
+    }
+    return entry;
+  };
+
+  const isExpired = (entry) => entry.expiresAt && entry.expiresAt <= Date.now();
+
+  return {
+    name: "lru",
+
+    async get(key) {
+      const entry = remove(key);
+      if (!entry || isExpired(entry)) {
+        return null;
+      }
+      // Re-insert to mark the entry as most recently used
+      entries.set(key, entry);
+      bytes += entry.size;
+      return entry.value;
+    },
+
+    async set(key, value, expires) {
+      remove(key);
+      const size = Buffer.byteLength(value);
+      if (size > maxBytes) {
+        return;
+      }
+      entries.set(key, {
+        value,
+        size,
+        expiresAt: expires > 0 ? Date.now() + expires * 1000 : 0,
+      });
+      bytes += size;
+
+      while (entries.size > maxEntries || bytes > maxBytes) {
+        remove(entries.keys().next().value);
+      }
+    },
+
+    async del(key) {
+      remove(key);
+    },
+
+    async close() {
+      entries.clear();
+      bytes = 0;
+    },
+  };
+}
+
+// Backend that stores nothing, so every lookup is a miss
+function createNoopBackend() {
+  return {
+    name: "none",
+    async get() {
+      return null;
+    },
+    async set() {},
+    async del() {},
+    async close() {},
+  };
+}
+
+// Layer a fast local cache in front of a shared one. Lookups try the
+// local cache first and copy shared hits into it for up to `ttl` seconds.
+function createLayeredBackend(local, shared, ttl = 60) {
+  const localExpiry = (expires) => (expires > 0 ? Math.min(expires, ttl) : ttl);
+
+  return {
+    name: `${local.name}+${shared.name}`,
+
+    async get(key) {
+      const value = await local.get(key);
+      if (value !== null) {
+        return value;
+      }
+      const sharedValue = await shared.get(key);
+      if (sharedValue !== null) {
+        await local.set(key, sharedValue, ttl);
+      }
+      return sharedValue;
+    },
+
+    async set(key, value, expires) {
+      await local.set(key, value, localExpiry(expires));
+      await shared.set(key, value, expires);
+    },
+
+    async del(key) {
+      await local.del(key);
+      await shared.del(key);
+    },
+
+    async close() {
+      await local.close();
+      await shared.close();
+    },
+  };
+}
+
+// Create the backend selected by CACHE_BACKEND (memcached, redis, lru or
+// none). CACHE_L1=lru puts an in-process LRU in front of memcached or
+// Redis.
+function createCacheBackend(env = process.env) {
+  const lruOptions = {
+    maxEntries: parseInt(env.CACHE_LRU_MAX_ENTRIES) || undefined,
+    maxBytes: parseInt(env.CACHE_LRU_MAX_BYTES) || undefined,
+  };
+
+  let backend;
+  switch (env.CACHE_BACKEND || "memcached") {
+    case "memcached":
+      backend = createMemcachedBackend(env.MEMCACHED_URL || "memcache:11211");
+      break;
+    case "redis":
+      backend = createRedisBackend(env.REDIS_URL || "redis://redis:6379");
+      break;
+    case "lru":
+      return createLruBackend(lruOptions);
+    case "none":
+      return createNoopBackend();
+    default:
+      throw new Error(`Unknown cache backend: ${env.CACHE_BACKEND}`);
+  }
+
+  if (env.CACHE_L1 === "lru") {
+    return createLayeredBackend(
+      createLruBackend(lruOptions),
+      backend,
+      parseInt(env.CACHE_L1_TTL) || undefined
+    );
+  }
+  return backend;
+}
+
+export {
+  createMemcachedBackend,
+  createRedisBackend,
+  createLruBackend,
+  createNoopBackend,
+  createLayeredBackend,
+  createCacheBackend,
+};
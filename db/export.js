@@ -0,0 +1,382 @@
+import { deflateRawSync, crc32 } from "zlib";
+
+// Writers for exporting grid lines in file formats GPS units and GIS tools
+// read. Each format takes GeoJSON line features from createLineFeature()
+// and the grid type, and yields the file in chunks.
+
+// Escape text for XML
+function escapeXml(text) {
+  return String(text).replace(
+    /[<>&"']/g,
+    (c) =>
+      ({
+        "<": "&lt;",
+        ">": "&gt;",
+        "&": "&amp;",
+        '"': "&quot;",
+        "'": "&apos;",
+      }[c])
+  );
+}
+
+// The lines of a feature's geometry as lists of [lng, lat] points
+function getLineParts(geometry) {
+  switch (geometry?.type) {
+    case "LineString":
+      return [geometry.coordinates];
+    case "MultiLineString":
+      return geometry.coordinates;
+    case "GeometryCollection":
+      return geometry.geometries.flatMap(getLineParts);
+    default:
+      return [];
+  }
+}
+
+function* writeGeoJson(features) {
+  yield '{"type":"FeatureCollection","features":[';
+  for (let i = 0; i < features.length; i++) {
+    yield (i > 0 ? ",\n" : "\n") + JSON.stringify(features[i]);
+  }
+  yield "\n]}\n";
+}
+
+// KML colors are aabbggrr rather than #rrggbb
+function toKmlColor(color, opacity = 1) {
+  const alpha = Math.round(opacity * 255)
+    .toString(16)
+    .padStart(2, "0");
+  const [r, g, b] = [1, 3, 5].map((i) => color.slice(i, i + 2));
+  return `${alpha}${b}${g}${r}`;
+}
+
+function* writeKml(features, gridType) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+  yield '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n';
+  yield `<name>${escapeXml(gridType)} grid</name>\n`;
+
+  // One style per line color
+  const colors = new Map(
+    features.map(({ properties }) => [properties.color, properties])
+  );
+  let index = 0;
+  const styleIds = new Map();
+  for (const [color, { weight, opacity }] of colors) {
+    const id = `line-${index++}`;
+    styleIds.set(color, id);
+    yield `<Style id="${id}"><LineStyle><color>${toKmlColor(
+      color,
+      opacity
+    )}</color><width>${weight}</width></LineStyle></Style>\n`;
+  }
+
+  for (const { properties, geometry } of features) {
+    const lines = getLineParts(geometry).map(
+      (part) =>
+        `<LineString><coordinates>${part
+          .map(([lng, lat]) => `${lng},${lat}`)
+          .join(" ")}</coordinates></LineString>`
+    );
+    yield `<Placemark><name>${escapeXml(properties.name)}</name>` +
+      `<styleUrl>#${styleIds.get(properties.color)}</styleUrl>` +
+      `<MultiGeometry>${lines.join("")}</MultiGeometry></Placemark>\n`;
+  }
+
+  yield "</Document>\n</kml>\n";
+}
+
+// GPX has no lines as such, so each grid line is a track with a segment
+// per piece of the line
+function* writeGpx(features, gridType) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+  yield '<gpx version="1.1" creator="geographic-grid-visualization" xmlns="http://www.topografix.com/GPX/1/1">\n';
+  yield `<metadata><name>${escapeXml(gridType)} grid</name></metadata>\n`;
+
+  for (const { properties, geometry } of features) {
+    const segments = getLineParts(geometry).map(
+      (part) =>
+        `<trkseg>${part
+          .map(([lng, lat]) => `<trkpt lat="${lat}" lon="${lng}"/>`)
+          .join("")}</trkseg>`
+    );
+    yield `<trk><name>${escapeXml(properties.name)}</name>` +
+      `<type>${escapeXml(gridType)}</type>${segments.join("")}</trk>\n`;
+  }
+
+  yield "</gpx>\n";
+}
+
+// Quote a CSV field
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Well-known text of a feature's lines
+function toWkt(geometry) {
+  const lines = getLineParts(geometry).map(
+    (part) => `(${part.map(([lng, lat]) => `${lng} ${lat}`).join(", ")})`
+  );
+  return `MULTILINESTRING(${lines.join(", ")})`;
+}
+
+function* writeCsvWkt(features, gridType) {
+  yield "name,type,color,wkt\n";
+  for (const { properties, geometry } of features) {
+    yield [properties.name, gridType, properties.color, toWkt(geometry)]
+      .map(csvField)
+      .join(",") + "\n";
+  }
+}
+
+// Attribute columns of the shapefile's dBase table
+const DBF_FIELDS = [
+  { name: "NAME", length: 80, value: (feature) => feature.properties.name },
+  { name: "TYPE", length: 32, value: (feature, gridType) => gridType },
+  { name: "COLOR", length: 7, value: (feature) => feature.properties.color },
+];
+
+const WGS84_PRJ =
+  'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+// Shape type of polylines in .shp files
+const SHAPE_POLYLINE = 3;
+
+// Main file header shared by .shp and .shx files
+function createShapeHeader(fileLength, box) {
+  const header = Buffer.alloc(100);
+  header.writeInt32BE(9994, 0);
+  header.writeInt32BE(fileLength / 2, 24); // Length in 16-bit words
+  header.writeInt32LE(1000, 28);
+  header.writeInt32LE(SHAPE_POLYLINE, 32);
+  box.forEach((value, i) => header.writeDoubleLE(value, 36 + i * 8));
+  return header;
+}
+
+// Bounding box [xmin, ymin, xmax, ymax] of lists of points
+function getBox(parts) {
+  const points = parts.flat();
+  if (points.length === 0) {
+    return [0, 0, 0, 0];
+  }
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+// Build the .shp and .shx files of polyline features
+function createShapeFiles(features) {
+  const records = [];
+  const index = [];
+  let offset = 100;
+  let box = null;
+
+  features.forEach((feature, i) => {
+    const parts = getLineParts(feature.geometry);
+    const points = parts.flat();
+    const featureBox = getBox(parts);
+    box = box
+      ? [
+          Math.min(box[0], featureBox[0]),
+          Math.min(box[1], featureBox[1]),
+          Math.max(box[2], featureBox[2]),
+          Math.max(box[3], featureBox[3]),
+        ]
+      : featureBox;
+
+    const contentLength = 44 + 4 * parts.length + 16 * points.length;
+    const record = Buffer.alloc(8 + contentLength);
+    record.writeInt32BE(i + 1, 0);
+    record.writeInt32BE(contentLength / 2, 4);
+    record.writeInt32LE(SHAPE_POLYLINE, 8);
+    featureBox.forEach((value, j) => record.writeDoubleLE(value, 12 + j * 8));
+    record.writeInt32LE(parts.length, 44);
+    record.writeInt32LE(points.length, 48);
+
+    let position = 52;
+    let start = 0;
+    for (const part of parts) {
+      record.writeInt32LE(start, position);
+      position += 4;
+      start += part.length;
+    }
+    for (const [x, y] of points) {
+      record.writeDoubleLE(x, position);
+      record.writeDoubleLE(y, position + 8);
+      position += 16;
+    }
+
+    const entry = Buffer.alloc(8);
+    entry.writeInt32BE(offset / 2, 0);
+    entry.writeInt32BE(contentLength / 2, 4);
+    index.push(entry);
+    records.push(record);
+    offset += record.length;
+  });
+
+  box = box || [0, 0, 0, 0];
+  return {
+    shp: Buffer.concat([createShapeHeader(offset, box), ...records]),
+    shx: Buffer.concat([
+      createShapeHeader(100 + 8 * index.length, box),
+      ...index,
+    ]),
+  };
+}
+
+// Build the dBase III table with the attributes of each feature
+function createDbf(features, gridType) {
+  const headerLength = 32 + 32 * DBF_FIELDS.length + 1;
+  const recordLength =
+    1 + DBF_FIELDS.reduce((total, field) => total + field.length, 0);
+  const dbf = Buffer.alloc(headerLength + recordLength * features.length + 1);
+
+  const now = new Date();
+  dbf.writeUInt8(0x03, 0);
+  dbf.writeUInt8(now.getFullYear() - 1900, 1);
+  dbf.writeUInt8(now.getMonth() + 1, 2);
+  dbf.writeUInt8(now.getDate(), 3);
+  dbf.writeUInt32LE(features.length, 4);
+  dbf.writeUInt16LE(headerLength, 8);
+  dbf.writeUInt16LE(recordLength, 10);
+
+  DBF_FIELDS.forEach((field, i) => {
+    const position = 32 + i * 32;
+    dbf.write(field.name, position, 10, "latin1");
+    dbf.write("C", position + 11, 1, "latin1");
+    dbf.writeUInt8(field.length, position + 16);
+  });
+  dbf.writeUInt8(0x0d, headerLength - 1);
+
+  let position = headerLength;
+  for (const feature of features) {
+    dbf.write(" ", position, 1, "latin1"); // Not deleted
+    position++;
+    for (const field of DBF_FIELDS) {
+      const value = String(field.value(feature, gridType) ?? "");
+      dbf.write(
+        value.slice(0, field.length).padEnd(field.length, " "),
+        position,
+        field.length,
+        "latin1"
+      );
+      position += field.length;
+    }
+  }
+  dbf.writeUInt8(0x1a, position);
+  return dbf;
+}
+
+// Date and time of a zip entry in MS-DOS format
+function toDosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+// Pack files into a zip archive, deflating each file
+function createZip(files) {
+  const { time, date } = toDosDateTime(new Date());
+  const entries = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const { name, data } of files) {
+    const compressed = deflateRawSync(data);
+    const checksum = crc32(data);
+    const fileName = Buffer.from(name);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // Version needed to extract
+    header.writeUInt16LE(8, 8); // Deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(checksum, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    entries.push(header, fileName, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // Version made by
+    central.writeUInt16LE(20, 6); // Version needed to extract
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+    directory.push(central, fileName);
+
+    offset += header.length + fileName.length + compressed.length;
+  }
+
+  const directorySize = directory.reduce(
+    (total, buffer) => total + buffer.length,
+    0
+  );
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...entries, ...directory, end]);
+}
+
+// A shapefile has to be complete before it can be zipped, so it is
+// yielded as a single chunk
+function* writeShapefile(features, gridType) {
+  const name = `grid-${gridType}`;
+  const { shp, shx } = createShapeFiles(features);
+  yield createZip([
+    { name: `${name}.shp`, data: shp },
+    { name: `${name}.shx`, data: shx },
+    { name: `${name}.dbf`, data: createDbf(features, gridType) },
+    { name: `${name}.prj`, data: Buffer.from(WGS84_PRJ) },
+    { name: `${name}.cpg`, data: Buffer.from("ISO-8859-1") },
+  ]);
+}
+
+// Export formats by the name used in the `format` parameter
+const EXPORT_FORMATS = {
+  geojson: {
+    extension: "geojson",
+    contentType: "application/geo+json",
+    write: writeGeoJson,
+  },
+  kml: {
+    extension: "kml",
+    contentType: "application/vnd.google-earth.kml+xml",
+    write: writeKml,
+  },
+  gpx: {
+    extension: "gpx",
+    contentType: "application/gpx+xml",
+    write: writeGpx,
+  },
+  "csv-wkt": {
+    extension: "csv",
+    contentType: "text/csv",
+    write: writeCsvWkt,
+  },
+  shapefile: {
+    extension: "zip",
+    contentType: "application/zip",
+    write: writeShapefile,
+  },
+};
+
+export { EXPORT_FORMATS };
@@ -1,30 +1,17 @@
 import pg from "pg";
-import fs from "fs";
-import path, { dirname } from "path";
 import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { encodeLineName, decodeLineName } from "./line-names.js";
+import {
+  gridDefinitions,
+  getGridDefinition,
+  isProjected,
+} from "./grid-definitions.js";
+import { DEFAULT_REGION, loadRegions } from "./regions.js";
 
-const FINLAND_BOUNDS = {
-  north: 70.0922,
-  south: 59.808,
-  east: 31.587,
-  west: 19.0832,
-};
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load dictionary words
-const words = fs
-  .readFileSync(path.join(__dirname, "words.txt"), "utf-8")
-  .split("\n")
-  .filter((word) => word.length > 0);
-
-function generateName() {
-  return Array(4)
-    .fill(0)
-    .map(() => words[Math.floor(Math.random() * words.length)])
-    .join("-");
-}
+// Maximum segment length in meters when reprojecting projected grid lines
+// to WGS84, so that straight projected lines keep their shape
+const PROJECTED_SEGMENT_LENGTH = 1000;
 
 // Convert meters to degrees at given latitude
 function metersToDegreesLat(meters) {
@@ -35,56 +22,354 @@ function metersToDegreesLng(meters, lat) {
   return meters / (111111 * Math.cos((lat * Math.PI) / 180));
 }
 
-async function generateGrid(client, gridSize, color, type) {
-  const gridSizeLat = metersToDegreesLat(gridSize);
+// Calculate the end points of a line in a projected grid. Lines run
+// across the whole grid extent at `position` steps from its south-west
+// corner, so projected grids only use band 0.
+function getProjectedLineCoordinates(grid, { orientation, band, position }) {
+  const [minX, minY, maxX, maxY] = grid.extent;
+  if (band !== 0) {
+    return null;
+  }
 
-  // Generate lines in smaller chunks to avoid memory issues
-  for (let lat = FINLAND_BOUNDS.south; lat <= FINLAND_BOUNDS.north; lat += 1) {
-    const gridSizeLng = metersToDegreesLng(gridSize, lat);
+  if (orientation === "horizontal") {
+    const y = minY + position * grid.spacing;
+    if (y > maxY) {
+      return null;
+    }
+    return [
+      [minX, y],
+      [maxX, y],
+    ];
+  }
 
-    // Generate horizontal lines
-    for (
-      let y = lat;
-      y < Math.min(lat + 1, FINLAND_BOUNDS.north);
-      y += gridSizeLat
-    ) {
-      const name = generateName();
-      await client.query(
-        `
-        INSERT INTO geolines (name, color, line_type, geom)
-        VALUES ($1, $2, $3, ST_MakeLine(
-          ST_MakePoint($4, $5),
-          ST_MakePoint($6, $5)
-        ))
-        ON CONFLICT (name) DO NOTHING
-      `,
-        [name, color, type, FINLAND_BOUNDS.west, y, FINLAND_BOUNDS.east]
-      );
+  const x = minX + position * grid.spacing;
+  if (x > maxX) {
+    return null;
+  }
+  return [
+    [x, minY],
+    [x, maxY],
+  ];
+}
+
+// Calculate the end points of a line from its identity, in the grid's
+// coordinate system. Degree grids are laid out in one degree latitude
+// bands of the region's bounding box: horizontal lines at `position`
+// steps north of the band's southern edge, vertical lines at `position`
+// steps east of the western bound. Returns null if the line falls outside
+// the grid.
+function getLineCoordinates(line, region) {
+  const grid = getGridDefinition(line.type);
+  if (!grid) {
+    return null;
+  }
+  if (isProjected(grid)) {
+    return getProjectedLineCoordinates(grid, line);
+  }
+
+  const { orientation, band, position } = line;
+  const bounds = region.bounds;
+  const gridSize = grid.spacing;
+  const lat = bounds.south + band;
+  if (lat > bounds.north) {
+    return null;
+  }
+  const bandNorth = Math.min(lat + 1, bounds.north);
+
+  if (orientation === "horizontal") {
+    const y = lat + position * metersToDegreesLat(gridSize);
+    if (y >= bandNorth) {
+      return null;
     }
+    return [
+      [bounds.west, y],
+      [bounds.east, y],
+    ];
+  }
 
-    // Generate vertical lines
-    for (
-      let x = FINLAND_BOUNDS.west;
-      x <= FINLAND_BOUNDS.east;
-      x += gridSizeLng
-    ) {
-      const name = generateName();
-      await client.query(
-        `
-        INSERT INTO geolines (name, color, line_type, geom)
-        VALUES ($1, $2, $3, ST_MakeLine(
-          ST_MakePoint($4, $5),
-          ST_MakePoint($4, $6)
-        ))
-        ON CONFLICT (name) DO NOTHING
-      `,
-        [name, color, type, x, lat, Math.min(lat + 1, FINLAND_BOUNDS.north)]
-      );
+  const x = bounds.west + position * metersToDegreesLng(gridSize, lat);
+  if (x > bounds.east) {
+    return null;
+  }
+  return [
+    [x, lat],
+    [x, bandNorth],
+  ];
+}
+
+// Find the cell of a projected grid containing a point given in the
+// grid's coordinate system
+function getProjectedCellAt(grid, x, y, region) {
+  const [minX, minY, maxX, maxY] = grid.extent;
+  if (x < minX || x >= maxX || y < minY || y >= maxY) {
+    return null;
+  }
+
+  const row = Math.floor((y - minY) / grid.spacing);
+  const column = Math.floor((x - minX) / grid.spacing);
+  const type = grid.type;
+  const line = { type, band: 0, region: region.code };
+  const south = { ...line, orientation: "horizontal", position: row };
+  const west = { ...line, orientation: "vertical", position: column };
+
+  return {
+    id: `${cellIdPrefix(type, region)}0:${row}:${column}`,
+    edges: {
+      north: { ...south, position: row + 1 },
+      south,
+      east: { ...west, position: column + 1 },
+      west,
+    },
+    bounds: {
+      north: Math.min(minY + (row + 1) * grid.spacing, maxY),
+      south: minY + row * grid.spacing,
+      east: Math.min(minX + (column + 1) * grid.spacing, maxX),
+      west: minX + column * grid.spacing,
+    },
+  };
+}
+
+// Cell ids of the default region leave the region out
+function cellIdPrefix(type, region) {
+  return region.code === DEFAULT_REGION.code
+    ? `${type}:`
+    : `${region.name}:${type}:`;
+}
+
+// Find the grid cell containing a point given in the grid's coordinate
+// system (longitude and latitude for degree grids). Cells are bounded by
+// two horizontal and two vertical lines of the same grid type.
+function getCellAt(x, y, type, region = DEFAULT_REGION) {
+  const grid = getGridDefinition(type);
+  if (!grid) {
+    return null;
+  }
+  if (isProjected(grid)) {
+    return getProjectedCellAt(grid, x, y, region);
+  }
+
+  const [lng, lat] = [x, y];
+  const regionBounds = region.bounds;
+  const gridSize = grid.spacing;
+  const band = Math.floor(lat - regionBounds.south);
+  if (
+    lat < regionBounds.south ||
+    lat >= regionBounds.north ||
+    lng < regionBounds.west ||
+    lng >= regionBounds.east
+  ) {
+    return null;
+  }
+
+  const bandSouth = regionBounds.south + band;
+  const row = Math.floor((lat - bandSouth) / metersToDegreesLat(gridSize));
+  const column = Math.floor(
+    (lng - regionBounds.west) / metersToDegreesLng(gridSize, bandSouth)
+  );
+
+  const line = { type, band, region: region.code };
+  const south = { ...line, orientation: "horizontal", position: row };
+  const west = { ...line, orientation: "vertical", position: column };
+  const east = { ...west, position: column + 1 };
+
+  // The top row of a band is closed by the first line of the next band
+  let north = { ...south, position: row + 1 };
+  if (!getLineCoordinates(north, region)) {
+    north = { ...south, band: band + 1, position: 0 };
+  }
+
+  const edges = { north, south, east, west };
+  const bounds = {
+    north: getLineCoordinates(north, region)?.[0][1] ?? regionBounds.north,
+    south: getLineCoordinates(south, region)[0][1],
+    east: getLineCoordinates(east, region)?.[0][0] ?? regionBounds.east,
+    west: getLineCoordinates(west, region)[0][0],
+  };
+
+  return {
+    id: `${cellIdPrefix(type, region)}${band}:${row}:${column}`,
+    edges,
+    bounds,
+  };
+}
+
+// Number of lines inserted per query
+const BATCH_SIZE = 500;
+
+// Insert a batch of lines clipped to the region's boundary. Lines are
+// stored as drawn in the grid's coordinate system, and `geom` keeps a
+// densified WGS84 copy for querying and output. Lines outside the
+// boundary are skipped.
+async function insertLines(client, lines, grid, region) {
+  const coordinates = lines.map((line) => getLineCoordinates(line, region));
+  await client.query(
+    `
+    WITH line AS (
+      SELECT
+        input.name,
+        ST_Multi(ST_CollectionExtract(ST_Intersection(
+          ST_SetSRID(
+            ST_MakeLine(
+              ST_MakePoint(input.x1, input.y1),
+              ST_MakePoint(input.x2, input.y2)
+            ),
+            $3::int
+          ),
+          ST_Transform(regions.boundary, $3::int)
+        ), 2)) AS native_geom
+      FROM unnest(
+        $6::text[],
+        $7::float8[],
+        $8::float8[],
+        $9::float8[],
+        $10::float8[]
+      ) AS input(name, x1, y1, x2, y2), regions
+      WHERE regions.code = $5
+    )
+    INSERT INTO geolines (name, color, line_type, region, native_geom, geom)
+    SELECT name, $1, $2, $5, native_geom,
+      CASE WHEN $3::int = 4326 THEN native_geom
+      ELSE ST_Transform(ST_Segmentize(native_geom, $4), 4326) END
+    FROM line
+    WHERE NOT ST_IsEmpty(native_geom)
+    ON CONFLICT (name) DO NOTHING
+  `,
+    [
+      grid.color,
+      grid.type,
+      grid.srid,
+      PROJECTED_SEGMENT_LENGTH,
+      region.code,
+      lines.map((line) => encodeLineName({ ...line, region: region.code })),
+      coordinates.map(([[x1]]) => x1),
+      coordinates.map(([[, y1]]) => y1),
+      coordinates.map(([, [x2]]) => x2),
+      coordinates.map(([, [, y2]]) => y2),
+    ]
+  );
+}
+
+// List the lines of one orientation in a band
+function getBandLines(grid, region, band, orientation) {
+  const lines = [];
+  for (let position = 0; ; position++) {
+    const line = { type: grid.type, orientation, band, position };
+    if (!getLineCoordinates(line, region)) {
+      return lines;
     }
+    lines.push(line);
   }
 }
 
-async function setupDatabase() {
+// Split a grid into the chunks generation is checkpointed by: one per
+// latitude band and orientation. Projected grids only have band 0.
+function getGridChunks(grid, region) {
+  const { north, south } = region.bounds;
+  const bandCount = isProjected(grid) ? 1 : Math.floor(north - south) + 1;
+
+  const chunks = [];
+  for (let band = 0; band < bandCount; band++) {
+    for (const orientation of ["horizontal", "vertical"]) {
+      chunks.push({
+        band,
+        orientation,
+        lineCount: getBandLines(grid, region, band, orientation).length,
+      });
+    }
+  }
+  return chunks;
+}
+
+// Decode a four-word line name into its line and coordinates without
+// touching the database. Coordinates are in the grid's coordinate system
+// given by `srid`, before clipping to the region's boundary. Lines of
+// regions other than the default need the regions passed in. Returns null
+// for names that don't match a line.
+function decodeLine(name, regions = [DEFAULT_REGION]) {
+  const line = decodeLineName(name);
+  const region =
+    line && regions.find((candidate) => candidate.code === line.region);
+  const coordinates = region && getLineCoordinates(line, region);
+  if (!coordinates) {
+    return null;
+  }
+  return {
+    ...line,
+    region: region.name,
+    srid: getGridDefinition(line.type).srid,
+    coordinates,
+  };
+}
+
+// Format a duration in seconds for progress output
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds)) {
+    return "--";
+  }
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0
+    ? `${minutes}m${String(Math.round(seconds % 60)).padStart(2, "0")}s`
+    : `${Math.round(seconds)}s`;
+}
+
+// Track generated lines against the total and report progress with an ETA
+function createProgress(totalLines) {
+  const startTime = Date.now();
+  let doneLines = 0;
+
+  return {
+    advance(lines, label) {
+      doneLines += lines;
+      const elapsed = (Date.now() - startTime) / 1000;
+      const eta = (elapsed / doneLines) * (totalLines - doneLines);
+      const percent = ((doneLines / totalLines) * 100).toFixed(1);
+      const message = `${label}: ${doneLines}/${totalLines} lines (${percent}%), ETA ${formatDuration(eta)}`;
+
+      // Rewrite a single status line on terminals, log lines elsewhere
+      if (process.stdout.isTTY) {
+        process.stdout.write(`\r${message.padEnd(process.stdout.columns - 1)}`);
+      } else {
+        console.log(message);
+      }
+    },
+
+    finish() {
+      if (process.stdout.isTTY) {
+        process.stdout.write("\n");
+      }
+      const elapsed = (Date.now() - startTime) / 1000;
+      console.log(`Generated ${doneLines} lines in ${formatDuration(elapsed)}`);
+    },
+  };
+}
+
+// Record how far generation of a chunk got: `nextPosition` is the first
+// line not generated yet
+function saveCheckpoint(
+  client,
+  { region, grid, band, orientation },
+  nextPosition,
+  complete
+) {
+  return client.query(
+    `INSERT INTO generation_checkpoints
+       (region, line_type, band, orientation, next_position, complete)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (region, line_type, band, orientation) DO UPDATE
+     SET next_position = $5, complete = $6, completed_at = now()`,
+    [region.code, grid.type, band, orientation, nextPosition, complete]
+  );
+}
+
+// Generate grid lines, skipping chunks that a previous run completed.
+// Each batch is committed together with its chunk's checkpoint, so an
+// interrupted run resumes from the batch where it stopped.
+async function generate({
+  grids = gridDefinitions,
+  regions,
+  dryRun = false,
+  rebuild = false,
+} = {}) {
   const client = new pg.Client({
     connectionString:
       process.env.POSTGRES_URL ||
@@ -94,34 +379,179 @@ async function setupDatabase() {
   try {
     await client.connect();
 
-    // Check if we need to generate data
-    const result = await client.query("SELECT COUNT(*) FROM geolines");
+    const allRegions = await loadRegions(client);
+    const selectedRegions = regions
+      ? allRegions.filter((region) => regions.includes(region.name))
+      : allRegions;
+    const unknownRegions = (regions || []).filter(
+      (name) => !allRegions.some((region) => region.name === name)
+    );
+    if (unknownRegions.length > 0) {
+      throw new Error(`Unknown region: ${unknownRegions.join(", ")}`);
+    }
+    const types = grids.map((grid) => grid.type);
+    const codes = selectedRegions.map((region) => region.code);
+
+    if (rebuild && !dryRun) {
+      console.log("Removing existing lines and checkpoints...");
+      await client.query(
+        "DELETE FROM geolines WHERE line_type = ANY($1) AND region = ANY($2)",
+        [types, codes]
+      );
+      await client.query(
+        `DELETE FROM generation_checkpoints
+         WHERE line_type = ANY($1) AND region = ANY($2)`,
+        [types, codes]
+      );
+    }
+
+    // Work out which chunks are still missing, and where interrupted
+    // chunks stopped
+    const result = await client.query(
+      `SELECT region, line_type, band, orientation, next_position, complete
+       FROM generation_checkpoints
+       WHERE line_type = ANY($1) AND region = ANY($2)`,
+      [types, codes]
+    );
+    const checkpoints = new Map(
+      result.rows.map((row) => [
+        `${row.region}:${row.line_type}:${row.band}:${row.orientation}`,
+        row,
+      ])
+    );
 
-    if (result.rows[0].count === "0") {
-      console.log("Generating grid lines...");
+    const pending = [];
+    let completed = 0;
+    for (const region of selectedRegions) {
+      for (const grid of grids) {
+        for (const chunk of getGridChunks(grid, region)) {
+          const key = `${region.code}:${grid.type}:${chunk.band}:${chunk.orientation}`;
+          const checkpoint = rebuild ? null : checkpoints.get(key);
+          if (checkpoint?.complete) {
+            completed++;
+            continue;
+          }
+          const start = checkpoint ? checkpoint.next_position : 0;
+          pending.push({
+            region,
+            grid,
+            ...chunk,
+            start,
+            lineCount: Math.max(0, chunk.lineCount - start),
+          });
+        }
+      }
+    }
 
-      // Generate grids in parallel
-      await Promise.all([
-        generateGrid(client, 50, "#ff0000", "50m"),
-        generateGrid(client, 100, "#0000ff", "100m"),
-        generateGrid(client, 500, "#ffff00", "500m"),
-      ]);
+    const totalLines = pending.reduce((sum, chunk) => sum + chunk.lineCount, 0);
+    console.log(
+      `${pending.length} chunks with ${totalLines} lines to generate` +
+        (completed > 0 ? ` (${completed} chunks already done)` : "")
+    );
 
-      console.log("Grid generation complete");
-    } else {
-      console.log("Database already contains grid lines");
+    if (dryRun) {
+      for (const region of selectedRegions) {
+        for (const grid of grids) {
+          const chunks = pending.filter(
+            (chunk) => chunk.region === region && chunk.grid === grid
+          );
+          const lines = chunks.reduce((sum, chunk) => sum + chunk.lineCount, 0);
+          console.log(
+            `  ${region.name} ${grid.type}: ${chunks.length} chunks, ${lines} lines`
+          );
+        }
+      }
+      return;
     }
-  } catch (error) {
-    console.error("Error setting up database:", error);
-    process.exit(1);
+
+    const progress = createProgress(totalLines);
+    for (const chunk of pending) {
+      const { region, grid, band, orientation, start } = chunk;
+      const label = `${region.name} ${grid.type} band ${band} ${orientation}`;
+      const lines = getBandLines(grid, region, band, orientation);
+      if (start >= lines.length) {
+        await saveCheckpoint(client, chunk, start, true);
+        continue;
+      }
+
+      for (let i = start; i < lines.length; i += BATCH_SIZE) {
+        const batch = lines.slice(i, i + BATCH_SIZE);
+        const next = i + batch.length;
+        await client.query("BEGIN");
+        try {
+          await insertLines(client, batch, grid, region);
+          await saveCheckpoint(client, chunk, next, next >= lines.length);
+          await client.query("COMMIT");
+        } catch (error) {
+          await client.query("ROLLBACK");
+          throw error;
+        }
+        progress.advance(batch.length, label);
+      }
+    }
+    progress.finish();
   } finally {
     await client.end();
   }
 }
 
+// Parse command line options and run generation
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      grid: { type: "string", multiple: true },
+      region: { type: "string", multiple: true },
+      "dry-run": { type: "boolean", default: false },
+      rebuild: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(`Usage: generate-grid [options]
+
+Generates grid lines into the geolines table. Interrupted runs resume
+from the last committed batch.
+
+Options:
+  --grid <type>      Only generate this grid type (repeatable)
+  --region <name>    Only generate this region (repeatable)
+  --dry-run          Show how many lines would be generated
+  --rebuild          Delete and regenerate the selected grids
+  -h, --help         Show this help`);
+    return;
+  }
+
+  let grids = gridDefinitions;
+  if (values.grid) {
+    const unknown = values.grid.filter((type) => !getGridDefinition(type));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown grid type: ${unknown.join(", ")}`);
+    }
+    grids = values.grid.map(getGridDefinition);
+  }
+
+  await generate({
+    grids,
+    regions: values.region,
+    dryRun: values["dry-run"],
+    rebuild: values.rebuild,
+  });
+}
+
 // Run if called directly
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
-  setupDatabase();
+  main().catch((error) => {
+    console.error("Grid generation failed:", error.message);
+    process.exit(1);
+  });
 }
 
-export { setupDatabase };
+export {
+  generate,
+  decodeLine,
+  getCellAt,
+  formatDuration,
+  metersToDegreesLat,
+  metersToDegreesLng,
+};
@@ -0,0 +1,106 @@
+import fs from "fs";
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Number of line name codes. Every grid has a permanent `code` below
+// this, which is part of the names of its lines.
+const LINE_CODES = 16;
+
+// Check that every grid has a line name code of its own
+function checkLineCodes(grids) {
+  const codes = new Map();
+  for (const grid of grids) {
+    if (
+      !Number.isInteger(grid.code) ||
+      grid.code < 0 ||
+      grid.code >= LINE_CODES
+    ) {
+      throw new Error(
+        `Grid type ${grid.type} needs a line name code from 0 to ${
+          LINE_CODES - 1
+        }`
+      );
+    }
+    const other = codes.get(grid.code);
+    if (other) {
+      throw new Error(
+        `Grid types ${other} and ${grid.type} share line name code ${grid.code}`
+      );
+    }
+    codes.set(grid.code, grid.type);
+  }
+}
+
+// Load grid definitions
+const gridDefinitions = JSON.parse(
+  fs.readFileSync(
+    process.env.GRID_DEFINITIONS ||
+      path.join(__dirname, "grid-definitions.json"),
+    "utf-8"
+  )
+);
+checkLineCodes(gridDefinitions);
+
+// Grid systems in definition order. The first one is shown by default.
+const gridSystems = [...new Set(gridDefinitions.map((grid) => grid.system))];
+
+// Whether a grid is laid out in a projected coordinate system in meters
+// rather than approximated in degrees
+function isProjected(grid) {
+  return grid.srid !== 4326;
+}
+
+// Get the definition of a grid type
+function getGridDefinition(type) {
+  return gridDefinitions.find((grid) => grid.type === type) || null;
+}
+
+// Get the definition of the grid with the given spacing in meters. Uses
+// the default grid system if none is given.
+function getGridBySpacing(spacing, system) {
+  system = system || gridSystems[0];
+  return (
+    gridDefinitions.find(
+      (grid) => grid.system === system && grid.spacing === spacing
+    ) || null
+  );
+}
+
+// Get the grid shown at a zoom level, or null if no grid is shown.
+// Fractional zoom levels use the grid of the next whole zoom level.
+function getGridForZoom(zoom, system) {
+  system = system || gridSystems[0];
+  const level = Math.round(zoom);
+  return (
+    gridDefinitions.find(
+      (grid) =>
+        grid.system === system &&
+        level >= grid.minZoom &&
+        level <= grid.maxZoom
+    ) || null
+  );
+}
+
+// Line styling for a grid type
+function getLineStyle(type) {
+  const grid = getGridDefinition(type);
+  return {
+    weight: grid.weight,
+    opacity: grid.opacity,
+    dashArray: grid.dashArray ?? undefined,
+  };
+}
+
+export {
+  LINE_CODES,
+  gridDefinitions,
+  gridSystems,
+  isProjected,
+  getGridDefinition,
+  getGridBySpacing,
+  getGridForZoom,
+  getLineStyle,
+};
@@ -0,0 +1,199 @@
+import fs from "fs";
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+import {
+  LINE_CODES,
+  gridDefinitions,
+  isProjected,
+} from "./grid-definitions.js";
+import { MAX_REGIONS, MAX_REGION_HEIGHT } from "./regions.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Every line name encodes the `code` of its grid from the grid
+// definitions, so a code must never change or be reused, even after its
+// grid is removed. Projected grids have no latitude bands, so their lines
+// are packed without the band.
+const TYPE_SLOTS = LINE_CODES;
+
+// The first grids had their code as the lowest digit of the packed line,
+// with a radix of three. Their names are kept as they were, in the lower
+// half of each region's share of the name space.
+const LEGACY_TYPES = 3;
+
+const gridsByType = new Map(gridDefinitions.map((grid) => [grid.type, grid]));
+const gridsByCode = new Map(gridDefinitions.map((grid) => [grid.code, grid]));
+
+const ORIENTATIONS = ["horizontal", "vertical"];
+
+// Latitude bands are one degree tall, so 180 covers any region
+const MAX_BANDS = 180;
+
+// Number of latitude bands the lines of a grid are packed with. Legacy
+// grids kept room for MAX_BANDS; later degree grids only have room for
+// the bands of a region, which is at most MAX_REGION_HEIGHT degrees tall.
+function getBandCount(grid) {
+  if (isProjected(grid)) {
+    return 1;
+  }
+  return grid.code < LEGACY_TYPES ? MAX_BANDS : MAX_REGION_HEIGHT;
+}
+
+// Load dictionary words
+const words = fs
+  .readFileSync(path.join(__dirname, "words.txt"), "utf-8")
+  .split("\n")
+  .map((word) => word.trim())
+  .filter((word) => word.length > 0);
+
+const wordIndex = new Map(words.map((word, index) => [word, index]));
+
+const NAME_LENGTH = 4;
+const WORD_COUNT = BigInt(words.length);
+const NAME_SPACE = WORD_COUNT ** BigInt(NAME_LENGTH);
+
+// Affine permutation of the name space so that neighbouring lines get
+// unrelated names. The multiplier must be coprime to NAME_SPACE.
+const MULTIPLIER = 2654435761n;
+const OFFSET = 1013904223n;
+
+// Modular inverse using the extended Euclidean algorithm
+function modInverse(a, m) {
+  let [oldR, r] = [a % m, m];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const quotient = oldR / r;
+    [oldR, r] = [r, oldR - quotient * r];
+    [oldS, s] = [s, oldS - quotient * s];
+  }
+  if (oldR !== 1n) {
+    throw new Error("Name multiplier is not coprime to the name space");
+  }
+  return ((oldS % m) + m) % m;
+}
+
+const INVERSE_MULTIPLIER = modInverse(MULTIPLIER, NAME_SPACE);
+
+// Each region gets an equal share of the name space. Region 0 starts at
+// zero, so its names are the same as before regions existed.
+const REGION_SPAN = NAME_SPACE / BigInt(MAX_REGIONS);
+
+// The legacy types share the lower half of a region's span, and every
+// other code gets an equal slot of the upper half. That leaves room for
+// about 67000 positions per band in legacy grids, 174000 in later degree
+// grids (a 10m grid across a region 15 degrees wide at the equator), and
+// 2.7 million in projected ones: a 1m grid across the whole TM35FIN
+// extent.
+const LEGACY_SPAN = REGION_SPAN / 2n;
+const SLOT_SPAN =
+  (REGION_SPAN - LEGACY_SPAN) / BigInt(TYPE_SLOTS - LEGACY_TYPES);
+
+// Pack a line identity into a single integer
+function packLine({ type, orientation, band, position, region = 0 }) {
+  const grid = gridsByType.get(type);
+  const orientationIndex = ORIENTATIONS.indexOf(orientation);
+  if (!grid) {
+    throw new Error(`Unknown line type: ${type}`);
+  }
+  if (orientationIndex === -1) {
+    throw new Error(`Unknown line orientation: ${orientation}`);
+  }
+  const bandCount = getBandCount(grid);
+  if (!Number.isInteger(band) || band < 0 || band >= bandCount) {
+    throw new Error(`Invalid latitude band: ${band}`);
+  }
+  if (!Number.isInteger(position) || position < 0) {
+    throw new Error(`Invalid line position: ${position}`);
+  }
+  if (!Number.isInteger(region) || region < 0 || region >= MAX_REGIONS) {
+    throw new Error(`Invalid region code: ${region}`);
+  }
+
+  const line =
+    (BigInt(position) * BigInt(bandCount) + BigInt(band)) *
+      BigInt(ORIENTATIONS.length) +
+    BigInt(orientationIndex);
+
+  let value;
+  if (grid.code < LEGACY_TYPES) {
+    value = line * BigInt(LEGACY_TYPES) + BigInt(grid.code);
+    if (value >= LEGACY_SPAN) {
+      throw new Error(`Line position out of range: ${position}`);
+    }
+  } else {
+    if (line >= SLOT_SPAN) {
+      throw new Error(`Line position out of range: ${position}`);
+    }
+    value = LEGACY_SPAN + BigInt(grid.code - LEGACY_TYPES) * SLOT_SPAN + line;
+  }
+  return BigInt(region) * REGION_SPAN + value;
+}
+
+// Unpack an integer back into a line identity, or null if it falls in
+// the slot of an unused type code
+function unpackLine(value) {
+  const region = Number(value / REGION_SPAN);
+  value %= REGION_SPAN;
+
+  let code;
+  if (value < LEGACY_SPAN) {
+    code = Number(value % BigInt(LEGACY_TYPES));
+    value /= BigInt(LEGACY_TYPES);
+  } else {
+    value -= LEGACY_SPAN;
+    code = LEGACY_TYPES + Number(value / SLOT_SPAN);
+    value %= SLOT_SPAN;
+  }
+  const grid = gridsByCode.get(code);
+  if (!grid) {
+    return null;
+  }
+
+  const bands = BigInt(getBandCount(grid));
+  const orientationIndex = Number(value % BigInt(ORIENTATIONS.length));
+  value /= BigInt(ORIENTATIONS.length);
+  const band = Number(value % bands);
+  const position = Number(value / bands);
+
+  return {
+    type: grid.type,
+    orientation: ORIENTATIONS[orientationIndex],
+    band,
+    position,
+    region,
+  };
+}
+
+// Create the four-word name for a line. The same line always gets the
+// same name, and decodeLineName() turns it back into the line.
+function encodeLineName(line) {
+  let value = (packLine(line) * MULTIPLIER + OFFSET) % NAME_SPACE;
+
+  const parts = [];
+  for (let i = 0; i < NAME_LENGTH; i++) {
+    parts.unshift(words[Number(value % WORD_COUNT)]);
+    value /= WORD_COUNT;
+  }
+  return parts.join("-");
+}
+
+// Decode a four-word name into its line identity, or null if the name
+// is not a valid line name
+function decodeLineName(name) {
+  const parts = String(name).toLowerCase().split("-");
+  if (parts.length !== NAME_LENGTH || !parts.every((w) => wordIndex.has(w))) {
+    return null;
+  }
+
+  let value = 0n;
+  for (const part of parts) {
+    value = value * WORD_COUNT + BigInt(wordIndex.get(part));
+  }
+
+  const packed =
+    (((value - OFFSET) % NAME_SPACE) + NAME_SPACE) % NAME_SPACE;
+  return unpackLine((packed * INVERSE_MULTIPLIER) % NAME_SPACE);
+}
+
+export { encodeLineName, decodeLineName };
@@ -0,0 +1,211 @@
+// Running counters and histograms, exposed in the Prometheus text format.
+// Metrics are kept in process and reset when the server restarts.
+
+const metrics = [];
+
+// Format a label set as {name="value",...}
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  const parts = entries.map(
+    ([name, value]) =>
+      `${name}="${String(value).replace(/["\\\n]/g, (c) =>
+        c === "\n" ? "\\n" : `\\${c}`
+      )}"`
+  );
+  return `{${parts.join(",")}}`;
+}
+
+// Key a label set so series with the same labels share a value
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort());
+}
+
+// Create a counter of events, optionally split by labels
+function createCounter(name, help) {
+  const series = new Map(); // Label key -> { labels, value }
+
+  const counter = {
+    name,
+    help,
+    type: "counter",
+
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, value: 0 });
+      }
+      series.get(key).value += amount;
+    },
+
+    // Sum of all series whose labels include `labels`
+    get(labels = {}) {
+      let total = 0;
+      for (const entry of series.values()) {
+        if (
+          Object.entries(labels).every(
+            ([label, value]) => String(entry.labels[label]) === String(value)
+          )
+        ) {
+          total += entry.value;
+        }
+      }
+      return total;
+    },
+
+    series() {
+      return [...series.values()];
+    },
+
+    render() {
+      return counter
+        .series()
+        .map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+    },
+  };
+
+  metrics.push(counter);
+  return counter;
+}
+
+// Create a histogram of observed values with cumulative `buckets`
+function createHistogram(name, help, buckets) {
+  const series = new Map(); // Label key -> { labels, counts, sum, count }
+
+  const histogram = {
+    name,
+    help,
+    type: "histogram",
+
+    observe(value, labels = {}) {
+      const key = labelKey(labels);
+      if (!series.has(key)) {
+        series.set(key, {
+          labels,
+          counts: buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bucket, index) => {
+        if (value <= bucket) {
+          entry.counts[index]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+
+    // Count, mean and an estimated 95th percentile (the upper bound of
+    // the bucket it falls in) across all series
+    summary() {
+      const entries = [...series.values()];
+      const count = entries.reduce((total, entry) => total + entry.count, 0);
+      const sum = entries.reduce((total, entry) => total + entry.sum, 0);
+      let p95 = null;
+      if (count > 0) {
+        const index = buckets.findIndex(
+          (bucket, i) =>
+            entries.reduce((total, entry) => total + entry.counts[i], 0) >=
+            count * 0.95
+        );
+        p95 = index === -1 ? Infinity : buckets[index];
+      }
+      return { count, sum, mean: count > 0 ? sum / count : 0, p95 };
+    },
+
+    render() {
+      const lines = [];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bucket, index) => {
+          lines.push(
+            `${name}_bucket${formatLabels({ ...labels, le: bucket })} ${
+              counts[index]
+            }`
+          );
+        });
+        lines.push(
+          `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`
+        );
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  };
+
+  metrics.push(histogram);
+  return histogram;
+}
+
+// Render all metrics in the Prometheus text exposition format
+function renderMetrics() {
+  return (
+    metrics
+      .flatMap((metric) => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.render(),
+      ])
+      .join("\n") + "\n"
+  );
+}
+
+// Tile cache lookups per zoom level, by result (hit or miss) and source
+// (geojson tiles or mvt vector tiles)
+const tileCacheRequests = createCounter(
+  "grid_tile_cache_requests_total",
+  "Tile cache lookups by zoom, source and result"
+);
+
+// Content lookups for tile entries that were found in the cache
+const contentCacheRequests = createCounter(
+  "grid_content_cache_requests_total",
+  "Content cache lookups by result"
+);
+
+// Errors from the cache backend, which are treated as misses
+const cacheErrors = createCounter(
+  "grid_cache_errors_total",
+  "Cache backend errors by operation"
+);
+
+const queryDuration = createHistogram(
+  "grid_postgis_query_duration_seconds",
+  "PostGIS query latency by query",
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+
+const featuresReturned = createHistogram(
+  "grid_features_returned",
+  "Grid line features per /api/grid response",
+  [0, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000]
+);
+
+const queueWait = createHistogram(
+  "grid_db_queue_wait_seconds",
+  "Time spent waiting for a database slot",
+  [0, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+
+// Requests rejected with 429, by reason (rate_limit or queue_full)
+const throttledRequests = createCounter(
+  "grid_throttled_requests_total",
+  "Requests rejected with 429 by reason"
+);
+
+export {
+  createCounter,
+  createHistogram,
+  renderMetrics,
+  tileCacheRequests,
+  contentCacheRequests,
+  cacheErrors,
+  queryDuration,
+  featuresReturned,
+  queueWait,
+  throttledRequests,
+};
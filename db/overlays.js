@@ -0,0 +1,419 @@
+import { validationError } from "./validation.js";
+import { getGridDefinition, isProjected } from "./grid-definitions.js";
+import {
+  getCellAt,
+  metersToDegreesLat,
+  metersToDegreesLng,
+} from "./generate-grid.js";
+
+// User overlays are routes or areas uploaded as GeoJSON, GPX or KML and
+// stored as a single WGS84 geometry, so they can be intersected with the
+// grid.
+
+// Most grid cells found for an overlay
+const MAX_OVERLAY_CELLS = 100000;
+
+// Read a numeric XML attribute
+function getAttribute(attributes, name) {
+  const match = attributes.match(
+    new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`)
+  );
+  return match ? Number(match[1]) : NaN;
+}
+
+// Points of the elements named `tag` in a piece of GPX
+function getGpxPoints(xml, tag) {
+  return [...xml.matchAll(new RegExp(`<${tag}\\b([^>]*)>`, "g"))].map(
+    ([, attributes]) => [
+      getAttribute(attributes, "lon"),
+      getAttribute(attributes, "lat"),
+    ]
+  );
+}
+
+// Tracks and routes become lines and waypoints become points
+function parseGpx(text) {
+  const geometries = [];
+  for (const [, segment] of text.matchAll(
+    /<trkseg\b[^>]*>([\s\S]*?)<\/trkseg>/g
+  )) {
+    geometries.push({
+      type: "LineString",
+      coordinates: getGpxPoints(segment, "trkpt"),
+    });
+  }
+  for (const [, route] of text.matchAll(/<rte\b[^>]*>([\s\S]*?)<\/rte>/g)) {
+    geometries.push({
+      type: "LineString",
+      coordinates: getGpxPoints(route, "rtept"),
+    });
+  }
+  for (const coordinates of getGpxPoints(text, "wpt")) {
+    geometries.push({ type: "Point", coordinates });
+  }
+  return geometries;
+}
+
+// Parse the content of a KML <coordinates> element
+function parseKmlCoordinates(text) {
+  return text
+    .trim()
+    .split(/\s+/)
+    .map((tuple) => tuple.split(",").slice(0, 2).map(Number));
+}
+
+// Coordinates of the rings in a piece of KML
+function getKmlRings(xml) {
+  return [...xml.matchAll(/<coordinates>([\s\S]*?)<\/coordinates>/g)].map(
+    ([, coordinates]) => parseKmlCoordinates(coordinates)
+  );
+}
+
+// Polygons, lines and points of a KML document. Polygons are taken out
+// first so their rings aren't read as lines.
+function parseKml(text) {
+  const geometries = [];
+  const rest = text.replace(
+    /<Polygon\b[^>]*>([\s\S]*?)<\/Polygon>/g,
+    (polygon, content) => {
+      const outer = content.match(
+        /<outerBoundaryIs>([\s\S]*?)<\/outerBoundaryIs>/
+      );
+      const inner = [
+        ...content.matchAll(/<innerBoundaryIs>([\s\S]*?)<\/innerBoundaryIs>/g),
+      ];
+      geometries.push({
+        type: "Polygon",
+        coordinates: [
+          ...getKmlRings(outer ? outer[1] : ""),
+          ...inner.flatMap(([, ring]) => getKmlRings(ring)),
+        ],
+      });
+      return "";
+    }
+  );
+  for (const [, line] of rest.matchAll(
+    /<LineString\b[^>]*>([\s\S]*?)<\/LineString>/g
+  )) {
+    geometries.push({ type: "LineString", coordinates: getKmlRings(line)[0] });
+  }
+  for (const [, point] of rest.matchAll(/<Point\b[^>]*>([\s\S]*?)<\/Point>/g)) {
+    geometries.push({ type: "Point", coordinates: getKmlRings(point)[0]?.[0] });
+  }
+  return geometries;
+}
+
+// Geometries of a GeoJSON object, feature or feature collection
+function parseGeoJson(data) {
+  const geojson = typeof data === "string" ? JSON.parse(data) : data;
+  switch (geojson?.type) {
+    case "FeatureCollection":
+      return (geojson.features || []).flatMap(parseGeoJson);
+    case "Feature":
+      return geojson.geometry ? [geojson.geometry] : [];
+    case "GeometryCollection":
+      return geojson.geometries || [];
+    default:
+      return geojson?.coordinates ? [geojson] : [];
+  }
+}
+
+// Whether every position in nested coordinates is a valid longitude and
+// latitude
+function hasValidPositions(coordinates) {
+  if (!Array.isArray(coordinates) || coordinates.length === 0) {
+    return false;
+  }
+  if (typeof coordinates[0] === "number") {
+    const [lng, lat] = coordinates;
+    return (
+      Number.isFinite(lng) &&
+      Number.isFinite(lat) &&
+      Math.abs(lng) <= 180 &&
+      Math.abs(lat) <= 90
+    );
+  }
+  return coordinates.every(hasValidPositions);
+}
+
+const OVERLAY_PARSERS = {
+  geojson: parseGeoJson,
+  gpx: parseGpx,
+  kml: parseKml,
+};
+
+// Parse uploaded overlay data into a single GeoJSON geometry. Throws a
+// validation error if the data has no usable geometry.
+function parseOverlay(format, data) {
+  if (format !== "geojson" && typeof data !== "string") {
+    throw validationError(
+      "INVALID_VALUE",
+      `${format} data must be text`,
+      "data"
+    );
+  }
+
+  let geometries;
+  try {
+    geometries = OVERLAY_PARSERS[format](data);
+  } catch (error) {
+    throw validationError(
+      "INVALID_OVERLAY",
+      `Could not read ${format} data: ${error.message}`,
+      "data"
+    );
+  }
+
+  if (geometries.length === 0) {
+    throw validationError(
+      "INVALID_OVERLAY",
+      `No geometry found in ${format} data`,
+      "data"
+    );
+  }
+  const invalid = geometries.find(
+    (geometry) =>
+      geometry.type === "GeometryCollection" ||
+      !hasValidPositions(geometry.coordinates)
+  );
+  if (invalid) {
+    throw validationError(
+      "INVALID_OVERLAY",
+      `Invalid ${invalid.type} in ${format} data`,
+      "data"
+    );
+  }
+
+  return geometries.length === 1
+    ? geometries[0]
+    : { type: "GeometryCollection", geometries };
+}
+
+// Convert an overlays row to an overlay
+function toOverlay(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    geometry: row.geometry,
+    bounds: {
+      north: row.north,
+      south: row.south,
+      east: row.east,
+      west: row.west,
+    },
+  };
+}
+
+const OVERLAY_COLUMNS = `
+  id,
+  name,
+  ST_AsGeoJSON(geom)::json as geometry,
+  ST_XMin(geom) as west,
+  ST_YMin(geom) as south,
+  ST_XMax(geom) as east,
+  ST_YMax(geom) as north
+`;
+
+// Store an overlay geometry, repairing invalid polygons
+async function createOverlay(client, { name, geometry }) {
+  const result = await client.query(
+    `
+    INSERT INTO overlays (name, geom)
+    VALUES ($1, ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON($2), 4326)))
+    RETURNING ${OVERLAY_COLUMNS}
+  `,
+    [name, JSON.stringify(geometry)]
+  );
+  return toOverlay(result.rows[0]);
+}
+
+// Load an overlay, or null if there is none with the id
+async function getOverlay(client, id) {
+  const result = await client.query(
+    `SELECT ${OVERLAY_COLUMNS} FROM overlays WHERE id = $1`,
+    [id]
+  );
+  return result.rows.length > 0 ? toOverlay(result.rows[0]) : null;
+}
+
+// Grid lines of a grid type that an overlay crosses, clipped to the area
+// around the overlay. At most `limit` lines are returned.
+async function findOverlayLines(client, id, gridType, region, limit) {
+  const result = await client.query(
+    `
+    SELECT
+      geolines.name,
+      geolines.color,
+      ST_AsGeoJSON(ST_Intersection(
+        geolines.geom,
+        ST_Expand(ST_Envelope(overlays.geom), 0.01)
+      ))::json as geometry
+    FROM geolines
+    JOIN overlays ON ST_Intersects(geolines.geom, overlays.geom)
+    WHERE overlays.id = $1
+    AND geolines.line_type = $2
+    AND ($3::int IS NULL OR geolines.region = $3)
+    ORDER BY geolines.name
+    LIMIT $4
+  `,
+    [id, gridType, region ? region.code : null, limit]
+  );
+  return result.rows;
+}
+
+// Areas of a grid where its cells form a regular lattice: the extent of
+// a projected grid, or each latitude band of a region for degree grids.
+// Rows and columns are counted from the south-west corner of each zone.
+function getCellZones(grid, region) {
+  if (isProjected(grid)) {
+    const [minX, minY, maxX, maxY] = grid.extent;
+    return [
+      { bounds: [minX, minY, maxX, maxY], size: [grid.spacing, grid.spacing] },
+    ];
+  }
+
+  const { north, south, east, west } = region.bounds;
+  const zones = [];
+  for (let band = 0; south + band < north; band++) {
+    const bandSouth = south + band;
+    zones.push({
+      bounds: [west, bandSouth, east, Math.min(bandSouth + 1, north)],
+      size: [
+        metersToDegreesLng(grid.spacing, bandSouth),
+        metersToDegreesLat(grid.spacing),
+      ],
+    });
+  }
+  return zones;
+}
+
+// IDs of the grid cells an overlay crosses or touches. PostGIS cuts the
+// overlay into the rows of each zone and tests the cells spanned by each
+// row's piece against it, so cells are found however little of them the
+// overlay covers. Overlays that could cross more than MAX_OVERLAY_CELLS
+// cells, like large areas on a fine grid, are rejected with a 413 error
+// before any cells are tested.
+async function findOverlayCells(client, id, gridType, region) {
+  const grid = getGridDefinition(gridType);
+  const zones = getCellZones(grid, region);
+  const spacing = Math.min(...zones.flatMap(({ size }) => size));
+
+  // A line crosses at most two cells per spacing of its length, plus
+  // the cells at its vertices. Areas are bounded by the cells of their
+  // bounding box.
+  const size = await client.query(
+    `
+    WITH overlay AS (
+      SELECT ST_Transform(geom, $2::int) as geom FROM overlays WHERE id = $1
+    )
+    SELECT
+      2 * (ST_Length(geom) + ST_Perimeter(geom)) / $3::float8 +
+        ST_NPoints(geom) as outline,
+      CASE WHEN ST_Dimension(geom) = 2 THEN
+        (floor(ST_XMax(geom) / $3::float8) - floor(ST_XMin(geom) / $3::float8) + 1) *
+        (floor(ST_YMax(geom) / $3::float8) - floor(ST_YMin(geom) / $3::float8) + 1)
+      ELSE 0 END as fill
+    FROM overlay
+  `,
+    [id, grid.srid, spacing]
+  );
+  const { outline = 0, fill = 0 } = size.rows[0] || {};
+  if (outline + fill > MAX_OVERLAY_CELLS) {
+    const error = new Error(
+      `Overlay is too large to find its cells in the ${gridType} grid, choose a coarser grid`
+    );
+    error.status = 413;
+    error.code = "OVERLAY_TOO_LARGE";
+    throw error;
+  }
+
+  const result = await client.query(
+    `
+    WITH overlay AS (
+      SELECT (ST_Dump(ST_Transform(geom, $2::int))).geom as geom
+      FROM overlays
+      WHERE id = $1
+    ),
+    zones AS (
+      SELECT zone.*, ST_Intersection(overlay.geom, box) as geom
+      FROM overlay,
+        unnest(
+          $3::float8[], $4::float8[], $5::float8[], $6::float8[],
+          $7::float8[], $8::float8[]
+        ) as zone(x0, y0, x1, y1, dx, dy),
+        ST_MakeEnvelope(x0, y0, x1, y1, $2::int) as box
+      WHERE ST_Intersects(overlay.geom, box)
+    ),
+    pieces AS (
+      SELECT
+        x0, y0, x1, y1, dx, dy, cell_row,
+        ST_Intersection(
+          geom,
+          ST_MakeEnvelope(x0, y0 + cell_row * dy, x1, LEAST(y0 + (cell_row + 1) * dy, y1), $2::int)
+        ) as geom
+      FROM zones,
+        generate_series(
+          GREATEST(floor((ST_YMin(geom) - y0) / dy), 0)::int,
+          LEAST(floor((ST_YMax(geom) - y0) / dy), ceil((y1 - y0) / dy) - 1)::int
+        ) as cell_row
+    )
+    SELECT
+      x0 + cell_column * dx as west,
+      y0 + cell_row * dy as south,
+      LEAST(x0 + (cell_column + 1) * dx, x1) as east,
+      LEAST(y0 + (cell_row + 1) * dy, y1) as north
+    FROM pieces,
+      generate_series(
+        GREATEST(floor((ST_XMin(geom) - x0) / dx), 0)::int,
+        LEAST(floor((ST_XMax(geom) - x0) / dx), ceil((x1 - x0) / dx) - 1)::int
+      ) as cell_column
+    WHERE NOT ST_IsEmpty(geom)
+    AND ST_Intersects(
+      geom,
+      ST_MakeEnvelope(
+        x0 + cell_column * dx, y0 + cell_row * dy,
+        LEAST(x0 + (cell_column + 1) * dx, x1), LEAST(y0 + (cell_row + 1) * dy, y1),
+        $2::int
+      )
+    )
+    LIMIT $9
+  `,
+    [
+      id,
+      grid.srid,
+      ...[0, 1, 2, 3].map((i) => zones.map(({ bounds }) => bounds[i])),
+      ...[0, 1].map((i) => zones.map(({ size }) => size[i])),
+      MAX_OVERLAY_CELLS + 1,
+    ]
+  );
+
+  // Look the cells up by their centre. The last row and column of a zone
+  // may be cut short by its edge.
+  const cells = new Set();
+  for (const { west, south, east, north } of result.rows.slice(
+    0,
+    MAX_OVERLAY_CELLS
+  )) {
+    const cell = getCellAt(
+      (west + east) / 2,
+      (south + north) / 2,
+      gridType,
+      region
+    );
+    if (cell) {
+      cells.add(cell.id);
+    }
+  }
+  return {
+    cells: [...cells].sort(),
+    truncated: result.rows.length > MAX_OVERLAY_CELLS,
+  };
+}
+
+export {
+  parseOverlay,
+  createOverlay,
+  getOverlay,
+  findOverlayLines,
+  findOverlayCells,
+};
@@ -0,0 +1,157 @@
+// Region grids are generated for. Finland is built in so that its line
+// names decode without a database lookup.
+const DEFAULT_REGION = {
+  code: 0,
+  name: "finland",
+  bounds: {
+    north: 70.0922,
+    south: 59.808,
+    east: 31.587,
+    west: 19.0832,
+  },
+};
+
+// Region codes are part of the line name encoding, so there is a fixed
+// number of them
+const MAX_REGIONS = 32;
+
+// Tallest region in degrees of latitude. Line names leave room for this
+// many one degree latitude bands per region.
+const MAX_REGION_HEIGHT = 16;
+
+// Latitudes of the outer rings of a Polygon or MultiPolygon
+function getBoundaryLatitudes({ type, coordinates }) {
+  const polygons = type === "Polygon" ? [coordinates] : coordinates;
+  return polygons.flatMap(([ring]) => ring.map(([, lat]) => lat));
+}
+
+// Convert a regions row to a region
+function toRegion(row) {
+  return {
+    code: row.code,
+    name: row.name,
+    bounds: {
+      north: row.north,
+      south: row.south,
+      east: row.east,
+      west: row.west,
+    },
+  };
+}
+
+// Load all regions from the database
+async function loadRegions(client) {
+  const result = await client.query(`
+    SELECT
+      code,
+      name,
+      ST_XMin(boundary) as west,
+      ST_YMin(boundary) as south,
+      ST_XMax(boundary) as east,
+      ST_YMax(boundary) as north
+    FROM regions
+    ORDER BY code
+  `);
+  return result.rows.map(toRegion);
+}
+
+// Find a region by name in a list of regions
+function findRegion(regions, name) {
+  return regions.find((region) => region.name === name) || null;
+}
+
+// Create a region from a bounding box or a GeoJSON boundary polygon
+async function createRegion(client, { name, bounds, boundary }) {
+  if (typeof name !== "string" || !/^[a-z0-9-]{1,64}$/.test(name)) {
+    throw new Error(
+      "Region name must be 1-64 lowercase letters, digits or dashes"
+    );
+  }
+
+  // Accept a GeoJSON Feature as well as a bare geometry
+  const geometry =
+    boundary && boundary.type === "Feature" ? boundary.geometry : boundary;
+  if (
+    geometry &&
+    geometry.type !== "Polygon" &&
+    geometry.type !== "MultiPolygon"
+  ) {
+    throw new Error("Region boundary must be a Polygon or MultiPolygon");
+  }
+  let latitudes;
+  if (geometry) {
+    try {
+      latitudes = getBoundaryLatitudes(geometry);
+    } catch {
+      throw new Error("Region boundary has invalid coordinates");
+    }
+  } else {
+    const { north, south, east, west } = bounds || {};
+    if (
+      ![north, south, east, west].every(Number.isFinite) ||
+      north <= south ||
+      east <= west
+    ) {
+      throw new Error("Region needs a boundary polygon or valid bounds");
+    }
+    latitudes = [north, south];
+  }
+  const height =
+    latitudes.reduce((a, b) => Math.max(a, b), -Infinity) -
+    latitudes.reduce((a, b) => Math.min(a, b), Infinity);
+  if (!(height <= MAX_REGION_HEIGHT)) {
+    throw new Error(
+      `Region must be at most ${MAX_REGION_HEIGHT} degrees of latitude tall`
+    );
+  }
+
+  const result = await client.query(
+    `
+    WITH next AS (
+      SELECT COALESCE(MAX(code) + 1, 0) as code FROM regions
+    )
+    INSERT INTO regions (code, name, boundary)
+    SELECT
+      next.code,
+      $1,
+      ST_Multi(
+        CASE WHEN $2::text IS NOT NULL
+          THEN ST_SetSRID(ST_GeomFromGeoJSON($2::text), 4326)
+          ELSE ST_MakeEnvelope($3, $4, $5, $6, 4326)
+        END
+      )
+    FROM next
+    WHERE next.code < $7
+    RETURNING
+      code,
+      name,
+      ST_XMin(boundary) as west,
+      ST_YMin(boundary) as south,
+      ST_XMax(boundary) as east,
+      ST_YMax(boundary) as north
+  `,
+    [
+      name,
+      geometry ? JSON.stringify(geometry) : null,
+      bounds?.west ?? null,
+      bounds?.south ?? null,
+      bounds?.east ?? null,
+      bounds?.north ?? null,
+      MAX_REGIONS,
+    ]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error(`No more than ${MAX_REGIONS} regions are supported`);
+  }
+  return toRegion(result.rows[0]);
+}
+
+export {
+  DEFAULT_REGION,
+  MAX_REGIONS,
+  MAX_REGION_HEIGHT,
+  loadRegions,
+  findRegion,
+  createRegion,
+};
@@ -1,17 +1,107 @@
 -- Enable PostGIS extension if not already enabled
 CREATE EXTENSION IF NOT EXISTS postgis;
 
--- Create enum for line types
-CREATE TYPE grid_type AS ENUM ('50m', '100m', '500m');
+-- Create table for regions grids are generated in
+CREATE TABLE IF NOT EXISTS regions (
+    id SERIAL PRIMARY KEY,
+    code INTEGER UNIQUE NOT NULL,  -- part of the line name encoding
+    name VARCHAR(64) UNIQUE NOT NULL,
+    boundary GEOMETRY(MULTIPOLYGON, 4326) NOT NULL
+);
+
+-- Finland is the default region
+INSERT INTO regions (code, name, boundary)
+VALUES (0, 'finland', ST_Multi(ST_MakeEnvelope(19.0832, 59.808, 31.587, 70.0922, 4326)))
+ON CONFLICT (code) DO NOTHING;
 
 -- Create table for grid lines
-CREATE TABLE geolines (
+CREATE TABLE IF NOT EXISTS geolines (
     id SERIAL PRIMARY KEY,
     name VARCHAR(255) UNIQUE NOT NULL,
     color VARCHAR(7) NOT NULL,  -- hex color code
-    line_type grid_type NOT NULL,
-    geom GEOMETRY(LINESTRING, 4326) NOT NULL
+    line_type VARCHAR(32) NOT NULL,  -- grid type from db/grid-definitions.json
+    region INTEGER NOT NULL DEFAULT 0,  -- regions.code
+    native_geom GEOMETRY(MULTILINESTRING) NOT NULL,  -- line in the grid's own CRS
+    geom GEOMETRY(MULTILINESTRING, 4326) NOT NULL  -- WGS84 copy for queries and output
+);
+
+-- Upgrade geolines tables created by earlier versions. This file runs on
+-- every start, so each step first checks whether it is still needed and
+-- an up to date table is left alone.
+DO $$
+BEGIN
+    -- Before grid definitions were configurable, line_type was an enum
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'geolines' AND column_name = 'line_type'
+        AND data_type = 'USER-DEFINED'
+    ) THEN
+        ALTER TABLE geolines ALTER COLUMN line_type TYPE VARCHAR(32);
+        DROP TYPE IF EXISTS grid_type;
+    END IF;
+
+    -- Before projected grids, lines only had WGS84 geometry
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'geolines' AND column_name = 'native_geom'
+    ) THEN
+        ALTER TABLE geolines ADD COLUMN native_geom GEOMETRY;
+    END IF;
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'geolines' AND column_name = 'native_geom'
+        AND is_nullable = 'YES'
+    ) THEN
+        UPDATE geolines SET native_geom = geom WHERE native_geom IS NULL;
+        ALTER TABLE geolines ALTER COLUMN native_geom SET NOT NULL;
+    END IF;
+
+    -- Before regions, lines were unclipped single lines in Finland
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'geolines' AND column_name = 'region'
+    ) THEN
+        ALTER TABLE geolines ADD COLUMN region INTEGER NOT NULL DEFAULT 0;
+    END IF;
+    IF EXISTS (
+        SELECT 1 FROM geometry_columns
+        WHERE f_table_name = 'geolines'
+        AND f_geometry_column IN ('geom', 'native_geom')
+        AND type <> 'MULTILINESTRING'
+    ) THEN
+        ALTER TABLE geolines
+            ALTER COLUMN native_geom TYPE GEOMETRY(MULTILINESTRING) USING ST_Multi(native_geom),
+            ALTER COLUMN geom TYPE GEOMETRY(MULTILINESTRING, 4326) USING ST_Multi(geom);
+    END IF;
+END
+$$;
+
+-- Progress of generation chunks, so interrupted runs can resume
+CREATE TABLE IF NOT EXISTS generation_checkpoints (
+    region INTEGER NOT NULL,  -- regions.code
+    line_type VARCHAR(32) NOT NULL,
+    band INTEGER NOT NULL,  -- latitude band, always 0 for projected grids
+    orientation VARCHAR(10) NOT NULL,  -- horizontal or vertical
+    next_position INTEGER NOT NULL DEFAULT 0,  -- first line not generated yet
+    complete BOOLEAN NOT NULL DEFAULT true,
+    completed_at TIMESTAMPTZ NOT NULL DEFAULT now(),  -- last committed batch
+    PRIMARY KEY (region, line_type, band, orientation)
+);
+
+-- Checkpoints written before batch progress was kept were whole chunks
+ALTER TABLE generation_checkpoints
+    ADD COLUMN IF NOT EXISTS next_position INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS complete BOOLEAN NOT NULL DEFAULT true;
+
+-- Routes and areas uploaded by users to intersect with the grid
+CREATE TABLE IF NOT EXISTS overlays (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    geom GEOMETRY(GEOMETRY, 4326) NOT NULL
 );
 
 -- Create spatial index
-CREATE INDEX geolines_geom_idx ON geolines USING GIST (geom); 
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS geolines_geom_idx ON geolines USING GIST (geom);
+CREATE INDEX IF NOT EXISTS overlays_geom_idx ON overlays USING GIST (geom);
+CREATE INDEX IF NOT EXISTS geolines_region_type_idx ON geolines (region, line_type);
@@ -0,0 +1,438 @@
+import { createHash, randomBytes } from "crypto";
+import { createCacheBackend } from "./cache-backends.js";
+import { getGridForZoom, getLineStyle } from "./grid-definitions.js";
+import { decodeLineName } from "./line-names.js";
+import {
+  getTileBounds,
+  getTileRange,
+  listTiles,
+  countTiles,
+} from "../public/tile-math.js";
+import {
+  tileCacheRequests,
+  contentCacheRequests,
+  cacheErrors,
+} from "./metrics.js";
+
+let backend = null;
+
+// Version of the cached tile entries and features, part of their keys.
+// Bump it when the cached features change shape, so entries written by
+// older servers are never served. Version 2 added the line's orientation,
+// band and position to the features.
+const CACHE_VERSION = 2;
+
+// Seconds tile entries and their content are cached for. Content is
+// stored for as long as the entries pointing to it, so a tile entry in
+// the cache always has its content.
+const TILE_TTL = 3600;
+
+// Highest zoom level with cached tiles
+const MAX_CACHE_ZOOM = 22;
+
+// Cache generation of each zoom level. Tile keys include the generation
+// of their zoom level, so a zoom level is invalidated by giving it a new
+// generation: its old entries are no longer looked up and expire on their
+// own. Generations are stored in the cache, so all servers share them.
+const generations = new Map();
+let generationTimer = null;
+
+// Create the cache backend on first use, so that importing this module
+// from a command doesn't open a connection it never needs
+function getCacheBackend() {
+  if (!backend) {
+    backend = createCacheBackend();
+  }
+  return backend;
+}
+
+// Close the cache backend so a command can exit
+async function closeCache() {
+  clearInterval(generationTimer);
+  generationTimer = null;
+  if (backend) {
+    await backend.close();
+    backend = null;
+  }
+}
+
+// Cache key holding the generation of a zoom level
+function generationKey(zoom) {
+  return `generation:${zoom}`;
+}
+
+// Load the generation of every zoom level from the cache, storing a new
+// one for zoom levels that have none
+async function loadCacheGenerations() {
+  await Promise.all(
+    Array.from({ length: MAX_CACHE_ZOOM + 1 }, async (_, zoom) => {
+      let generation = await getCache(generationKey(zoom));
+      if (!generation) {
+        generation = generations.get(zoom) || randomBytes(4).toString("hex");
+        await setCache(generationKey(zoom), generation, 0);
+      }
+      generations.set(zoom, generation);
+    })
+  );
+}
+
+// Load the cache generations, then reload them every `interval`
+// milliseconds to pick up invalidations made by other servers. The cache
+// backend is created first, so a misconfigured one throws here once
+// instead of failing every cache lookup.
+async function syncCacheGenerations(interval = 5000) {
+  getCacheBackend();
+  await loadCacheGenerations();
+  clearInterval(generationTimer);
+  generationTimer = setInterval(loadCacheGenerations, interval);
+  generationTimer.unref();
+}
+
+// Current cache generation of a zoom level
+function getCacheGeneration(zoom) {
+  const generation = generations.get(Number(zoom));
+  if (!generation) {
+    throw new Error(`No cache generation loaded for zoom ${zoom}`);
+  }
+  return generation;
+}
+
+// Create cache key from OSM tile name, grid type and optional region
+function createTileKey(tileName, gridType, region = null) {
+  // Validate tile name format (z/x/y)
+  const parts = tileName.split("/");
+  if (parts.length !== 3) {
+    throw new Error(`Invalid tile name format: ${tileName}`);
+  }
+
+  // Add prefix to avoid collisions with other cache keys
+  const scope = region ? `${region.name}:${gridType}` : gridType;
+  const generation = getCacheGeneration(parts[0]);
+  return `tile:v${CACHE_VERSION}:${generation}:${scope}:${tileName}`;
+}
+
+// Create cache key for a vector tile of a grid type and optional region
+function createVectorTileKey(z, x, y, gridType, region = null) {
+  const scope = region ? `${region.name}:${gridType}` : gridType;
+  return `mvt:${getCacheGeneration(z)}:${scope}:${z}/${x}/${y}`;
+}
+
+// Create cache key for a set of tiles
+
+// Stringify JSON with object keys sorted at every level, so equal
+// content always gives the same string
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalJson(item) ?? "null").join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    // Leave out undefined members, like JSON.stringify does
+    const members = [];
+    for (const key of Object.keys(value).sort()) {
+      const member = canonicalJson(value[key]);
+      if (member !== undefined) {
+        members.push(`${JSON.stringify(key)}:${member}`);
+      }
+    }
+    return `{${members.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// SHA-256 hash of the canonical JSON of some content, as hex
+function hashContent(data) {
+  return createHash("sha256").update(canonicalJson(data)).digest("hex");
+}
+
+// Create cache key from JSON content
+function createContentKey(data) {
+  return `content:v${CACHE_VERSION}:${hashContent(data)}`;
+}
+
+// Store JSON in cache with expiration. Cache errors are logged and
+// ignored, so requests still work while the cache is down.
+async function setCache(key, value, expires = 300) {
+  // default 5 minutes
+  try {
+    await getCacheBackend().set(key, JSON.stringify(value), expires);
+  } catch (err) {
+    console.error(`Cache set error for key ${key}:`, err.message);
+    cacheErrors.inc({ operation: "set" });
+  }
+}
+
+// Retrieve JSON from cache. Cache errors are treated as misses.
+async function getCache(key) {
+  try {
+    const data = await getCacheBackend().get(key);
+    return data ? JSON.parse(data) : null;
+  } catch (err) {
+    console.error(`Cache get error for key ${key}:`, err.message);
+    cacheErrors.inc({ operation: "get" });
+    return null;
+  }
+}
+
+// Store a tile entry pointing to its content key. The expiry time and
+// feature count are kept alongside so the cache can be inspected later.
+function setTileEntry(
+  tileName,
+  gridType,
+  region,
+  contentKey,
+  featureCount,
+  expires = TILE_TTL
+) {
+  return setCache(
+    createTileKey(tileName, gridType, region),
+    {
+      contentKey,
+      featureCount,
+      expiresAt: Date.now() + expires * 1000,
+    },
+    expires
+  );
+}
+
+// Convert a geolines row to a styled GeoJSON feature. The line's
+// orientation, latitude band and position within the band come from its
+// name, so the map can label rows and columns.
+function createLineFeature(row, gridType) {
+  const line = decodeLineName(row.name);
+  return {
+    type: "Feature",
+    properties: {
+      name: row.name,
+      color: row.color,
+      ...getLineStyle(gridType),
+      ...(line && {
+        orientation: line.orientation,
+        band: line.band,
+        position: line.position,
+      }),
+    },
+    geometry: row.geometry,
+  };
+}
+
+// Get cached grid lines for a single tile, or null on a cache miss
+async function getCachedTileFeatures(tileName, gridType, region) {
+  // Use cached content if both the tile entry and its content are present
+  const entry = await getCache(createTileKey(tileName, gridType, region));
+  const zoom = tileName.split("/")[0];
+  tileCacheRequests.inc({
+    zoom,
+    source: "geojson",
+    result: entry ? "hit" : "miss",
+  });
+  if (!entry) {
+    return null;
+  }
+
+  const content = await getCache(entry.contentKey);
+  contentCacheRequests.inc({ result: content ? "hit" : "miss" });
+  return content;
+}
+
+// Query the grid lines of a grid type clipped to bounds, as GeoJSON
+// features. `query` runs a query, so callers can route it through their
+// own pool, limiter or cancellation. At most `limit` lines are returned
+// if given.
+async function queryGridLines(query, bounds, gridType, region, limit = null) {
+  const { north, south, east, west } = bounds;
+
+  // Query database for grid lines clipped to the bounds
+  const result = await query(
+    `
+    WITH clipped AS (
+      SELECT
+        name,
+        color,
+        ST_Intersection(geom, ST_MakeEnvelope($2, $3, $4, $5, 4326)) as geom
+      FROM geolines
+      WHERE line_type = $1
+      AND ($6::int IS NULL OR region = $6)
+      AND ST_Intersects(
+        geom,
+        ST_MakeEnvelope($2, $3, $4, $5, 4326)
+      )
+    )
+    SELECT
+      name,
+      color,
+      ST_AsGeoJSON(geom)::json as geometry
+    FROM clipped
+    WHERE ST_Dimension(geom) = 1
+    LIMIT $7
+  `,
+    [gridType, west, south, east, north, region ? region.code : null, limit]
+  );
+
+  // Convert query results to GeoJSON features
+  return result.rows.map((row) => createLineFeature(row, gridType));
+}
+
+// Query grid lines for a single tile from the database and cache them
+async function queryTileFeatures(query, tileName, gridType, region) {
+  const [z, x, y] = tileName.split("/").map(Number);
+  const features = await queryGridLines(
+    query,
+    getTileBounds(z, x, y),
+    gridType,
+    region
+  );
+
+  // Create content key and store content and tile entry in cache
+  const contentKey = createContentKey(features);
+  await setCache(contentKey, features, TILE_TTL);
+  await setTileEntry(tileName, gridType, region, contentKey, features.length);
+
+  return features;
+}
+
+// Get all OSM tile names within bounds at zoom level. Bounds crossing the
+// antimeridian give tiles from both ends of the map.
+function getTileNames(bounds, zoomLevel) {
+  const range = getTileRange(bounds, zoomLevel);
+  const tileNames = listTiles(bounds, zoomLevel).map(
+    ({ z, x, y }) => `${z}/${x}/${y}`
+  );
+
+  // Get cache stats for this zoom level
+  const zoomStats = {
+    total: tileNames.length,
+    zoom: zoomLevel,
+    bounds: range,
+  };
+
+  return {
+    tiles: tileNames,
+    bounds: range,
+    stats: zoomStats,
+    count: tileNames.length,
+  };
+}
+
+// Remove a key from the cache
+function deleteCache(key) {
+  return getCacheBackend().del(key);
+}
+
+// Invalidate cached tiles and vector tiles at `zoom`, or at the zoom
+// levels of tile names starting with `prefix` (e.g. "15/" or "15/9340/"),
+// by giving those zoom levels a new generation. A prefix invalidates its
+// whole zoom level. Without either, every zoom level is invalidated.
+// Content entries are shared between tiles and left to expire. Returns
+// the invalidated zoom levels.
+async function invalidateCache({ prefix, zoom } = {}) {
+  const zooms = [];
+  for (let level = 0; level <= MAX_CACHE_ZOOM; level++) {
+    const levelPrefix = `${level}/`;
+    if (
+      zoom !== undefined
+        ? level === zoom
+        : !prefix ||
+          levelPrefix.startsWith(prefix) ||
+          prefix.startsWith(levelPrefix)
+    ) {
+      zooms.push(level);
+    }
+  }
+
+  await Promise.all(
+    zooms.map(async (level) => {
+      const generation = randomBytes(4).toString("hex");
+      generations.set(level, generation);
+      await getCacheBackend().set(
+        generationKey(level),
+        JSON.stringify(generation),
+        0
+      );
+    })
+  );
+  return zooms;
+}
+
+// Count the tiles covering the bounds at each zoom level with a grid
+function countWarmTiles(bounds, minZoom, maxZoom, system) {
+  let total = 0;
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    if (getGridForZoom(zoom, system)) {
+      total += countTiles(bounds, zoom);
+    }
+  }
+  return total;
+}
+
+// Fill the cache for every tile covering the bounds from `minZoom` to
+// `maxZoom`, querying up to `concurrency` tiles at once. Tiles that are
+// already cached are skipped. `onProgress` is called after each tile.
+async function warmCache({
+  query,
+  bounds,
+  minZoom,
+  maxZoom,
+  system,
+  region = null,
+  concurrency = 4,
+  onProgress,
+  signal,
+}) {
+  const progress = {
+    total: countWarmTiles(bounds, minZoom, maxZoom, system),
+    done: 0,
+    cached: 0,
+    queried: 0,
+  };
+
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    const grid = getGridForZoom(zoom, system);
+    if (!grid) {
+      continue;
+    }
+
+    // Workers take the next tile from the shared list until it runs out
+    const { tiles: tileNames } = getTileNames(bounds, zoom);
+    let next = 0;
+    const worker = async () => {
+      while (next < tileNames.length) {
+        signal?.throwIfAborted();
+        const tileName = tileNames[next++];
+        if (await getCache(createTileKey(tileName, grid.type, region))) {
+          progress.cached++;
+        } else {
+          await queryTileFeatures(query, tileName, grid.type, region);
+          progress.queried++;
+        }
+        progress.done++;
+        onProgress?.({ ...progress, zoom });
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, tileNames.length) }, worker)
+    );
+  }
+
+  return progress;
+}
+
+export {
+  TILE_TTL,
+  getCacheBackend,
+  closeCache,
+  syncCacheGenerations,
+  createTileKey,
+  createVectorTileKey,
+  hashContent,
+  setCache,
+  getCache,
+  deleteCache,
+  invalidateCache,
+  createLineFeature,
+  getCachedTileFeatures,
+  queryGridLines,
+  queryTileFeatures,
+  getTileNames,
+  countWarmTiles,
+  warmCache,
+};
@@ -0,0 +1,187 @@
+// Validation of request parameters against small schemas. Each field in
+// a schema describes one parameter:
+//   type: "number", "integer", "string" or "object"
+//   required: reject the request if the parameter is missing
+//   default: value to use if the parameter is missing
+//   min, max: allowed range for numbers
+//   pattern: regular expression strings must match, with `message`
+//     describing the expected format
+//   oneOf: allowed values, or a function returning them
+//   parse: function converting the checked value, which may throw a
+//     validation error
+// Invalid input is reported as a validation error with a code the client
+// can show, and every invalid field in `details`.
+
+// Create a validation error for a field
+function validationError(code, message, field) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = code;
+  error.field = field;
+  error.details = [{ field, code, message }];
+  return error;
+}
+
+// Whether an error is a validation error
+function isValidationError(error) {
+  return error.status === 400 && Array.isArray(error.details);
+}
+
+// Check and convert a single parameter value
+function validateField(field, spec, raw) {
+  if (raw === undefined || raw === null || raw === "") {
+    if (spec.required) {
+      throw validationError("MISSING_PARAMETER", `${field} is required`, field);
+    }
+    return spec.default;
+  }
+
+  let value = raw;
+  if (spec.type === "number" || spec.type === "integer") {
+    value = typeof raw === "number" ? raw : Number(raw);
+    if (!Number.isFinite(value)) {
+      throw validationError(
+        "INVALID_NUMBER",
+        `${field} must be a number`,
+        field
+      );
+    }
+    if (spec.type === "integer" && !Number.isInteger(value)) {
+      throw validationError(
+        "INVALID_NUMBER",
+        `${field} must be a whole number`,
+        field
+      );
+    }
+    if (
+      (spec.min !== undefined && value < spec.min) ||
+      (spec.max !== undefined && value > spec.max)
+    ) {
+      throw validationError(
+        "OUT_OF_RANGE",
+        `${field} must be between ${spec.min ?? "-∞"} and ${spec.max ?? "∞"}`,
+        field
+      );
+    }
+  } else if (spec.type === "string") {
+    if (typeof raw !== "string") {
+      throw validationError("INVALID_VALUE", `${field} must be text`, field);
+    }
+    if (spec.pattern && !spec.pattern.test(raw)) {
+      throw validationError(
+        "INVALID_VALUE",
+        spec.message || `${field} is not valid`,
+        field
+      );
+    }
+  } else if (spec.type === "object") {
+    if (typeof raw !== "object" || Array.isArray(raw)) {
+      throw validationError(
+        "INVALID_VALUE",
+        `${field} must be an object`,
+        field
+      );
+    }
+  }
+
+  const allowed = typeof spec.oneOf === "function" ? spec.oneOf() : spec.oneOf;
+  if (allowed && !allowed.includes(value)) {
+    throw validationError(
+      "INVALID_VALUE",
+      `${field} must be one of ${allowed.join(", ")}`,
+      field
+    );
+  }
+
+  return spec.parse ? spec.parse(value) : value;
+}
+
+// Validate an object of parameters against a schema. Returns the
+// converted values, or throws a validation error listing every invalid
+// field.
+function validate(input, schema) {
+  const values = {};
+  const details = [];
+
+  for (const [field, spec] of Object.entries(schema)) {
+    try {
+      values[field] = validateField(field, spec, input?.[field]);
+    } catch (error) {
+      if (!isValidationError(error)) {
+        throw error;
+      }
+      details.push(...error.details);
+    }
+  }
+
+  if (details.length > 0) {
+    const error = validationError(
+      details[0].code,
+      details.map((detail) => detail.message).join(", "),
+      details[0].field
+    );
+    error.details = details;
+    throw error;
+  }
+  return values;
+}
+
+// Check that bounds have north above south and east beyond west. With
+// `wrap`, east can be less than west for bounds crossing the antimeridian.
+function checkBounds({ north, south, east, west }, { wrap = false } = {}) {
+  if (north <= south) {
+    throw validationError(
+      "INVALID_BOUNDS",
+      "north must be greater than south",
+      "north"
+    );
+  }
+  if (wrap ? east === west : east <= west) {
+    throw validationError(
+      "INVALID_BOUNDS",
+      wrap ? "east must differ from west" : "east must be greater than west",
+      "east"
+    );
+  }
+}
+
+// Send an error response with a machine readable code
+function sendError(res, status, code, message, extra = {}) {
+  res.status(status).json({ error: message, code, ...extra });
+}
+
+// Send a validation error as a 400 response
+function sendValidationError(res, error) {
+  sendError(res, 400, error.code, error.message, { details: error.details });
+}
+
+// Middleware validating the query string, the route parameters or the
+// JSON body against a schema. The converted values are stored in
+// `req.valid`, and `check` can reject combinations of values.
+function validateRequest(source, schema, check) {
+  return (req, res, next) => {
+    try {
+      const values = validate(req[source], schema);
+      check?.(values, req);
+      req.valid = { ...req.valid, ...values };
+    } catch (error) {
+      if (!isValidationError(error)) {
+        next(error);
+        return;
+      }
+      sendValidationError(res, error);
+      return;
+    }
+    next();
+  };
+}
+
+export {
+  validationError,
+  isValidationError,
+  validate,
+  checkBounds,
+  sendError,
+  sendValidationError,
+  validateRequest,
+};
@@ -1,3 +1,5 @@
+import { normalizeBounds, getTileBounds } from "./tile-math.js";
+
 // Helsinki Railway Station coordinates (default location)
 const HELSINKI_STATION = {
   lat: 60.1719,
@@ -22,15 +24,120 @@ const storedLocation =
 // Initialize the map with stored or default location
 const map = L.map("map").setView(storedLocation.center, storedLocation.zoom);
 
-// Add OpenStreetMap tiles
-L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+// Basemaps configured on the server, and the one shown
+let basemaps = [];
+let basemap = null;
+
+// Create the map layer of a basemap. The blank basemap has no tiles.
+function createBasemapLayer({
+  url,
+  maxZoom,
+  minNativeZoom,
+  maxNativeZoom,
+  attribution,
+}) {
+  if (!url) {
+    return L.layerGroup();
+  }
+  return L.tileLayer(url, {
+    maxZoom,
+    minNativeZoom,
+    maxNativeZoom,
+    attribution,
+  });
+}
+
+// URL of a basemap tile, or null for the blank basemap
+function getBasemapTileUrl({ z, x, y }) {
+  return basemap?.url ? L.Util.template(basemap.url, { z, x, y }) : null;
+}
+
+// First built-in basemap, shown if the server's basemaps can't be loaded
+const FALLBACK_BASEMAP = {
+  id: "osm",
+  name: "OpenStreetMap",
+  url: "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
   maxZoom: 19,
   attribution: "© OpenStreetMap contributors",
-}).addTo(map);
+};
+
+// Load the basemaps and offer them in a layer control. The last one
+// chosen is remembered in localStorage.
+fetch("/api/basemaps")
+  .then((response) => {
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  })
+  .catch((error) => {
+    console.error("Error loading basemaps, showing OpenStreetMap:", error);
+    return [FALLBACK_BASEMAP];
+  })
+  .then((list) => {
+    basemaps = list.map((item) => ({
+      ...item,
+      layer: createBasemapLayer(item),
+    }));
+    basemap =
+      basemaps.find((item) => item.id === localStorage.getItem("basemap")) ||
+      basemaps[0];
+    basemap.layer.addTo(map);
+
+    L.control
+      .layers(
+        Object.fromEntries(basemaps.map((item) => [item.name, item.layer])),
+        null,
+        { position: "topright" }
+      )
+      .addTo(map);
+    map.on("baselayerchange", (event) => {
+      basemap = basemaps.find((item) => item.layer === event.layer);
+      localStorage.setItem("basemap", basemap.id);
+    });
+  });
+
+// Query string for the viewport bounds. The map can show more than one
+// copy of the world, so longitudes are wrapped into the range the API
+// accepts, with east < west when the viewport crosses the antimeridian.
+function getBoundsQuery() {
+  const bounds = map.getBounds();
+  const { north, south, east, west } = normalizeBounds({
+    north: bounds.getNorth(),
+    south: bounds.getSouth(),
+    east: bounds.getEast(),
+    west: bounds.getWest(),
+  });
+  return `north=${north}&south=${south}&east=${east}&west=${west}`;
+}
+
+// Text for an error response from the API, with its error code
+function formatApiError(data) {
+  if (!data || !data.error) {
+    return "Request failed";
+  }
+  return data.code ? `${data.error} (${data.code})` : data.error;
+}
 
 // Store the current grid layer group
 let gridLayerGroup = L.layerGroup().addTo(map);
 
+// Track grid line layers by line name so updates only touch changed lines
+const gridFeatureLayers = new Map();
+
+// Line name and row/column labels, redrawn after every move
+let labelLayerGroup = L.layerGroup().addTo(map);
+
+// Track whether grid lines are labelled
+let showLabels = false;
+
+// Remove all grid lines from the map
+function clearGridLayers() {
+  gridLayerGroup.clearLayers();
+  gridFeatureLayers.clear();
+  labelLayerGroup.clearLayers();
+}
+
 // Store the cache visualization layer group
 let cacheLayerGroup = L.layerGroup();
 
@@ -40,6 +147,49 @@ map.removeLayer(cacheLayerGroup);
 // Track current view mode
 let isShowingCache = false;
 
+// Track whether grid lines are drawn from vector tiles
+let useVectorTiles = false;
+
+// Grid definitions configured on the server, and the grid system shown
+let gridDefinitions = [];
+let gridSystem = params.get("system") || "";
+
+// Grid shown at a zoom level, matching the server's zoom ranges
+function getGridForZoom(zoom) {
+  const level = Math.round(zoom);
+  return (
+    gridDefinitions.find(
+      (grid) =>
+        grid.system === gridSystem &&
+        level >= grid.minZoom &&
+        level <= grid.maxZoom
+    ) || null
+  );
+}
+
+// Grid lines served as Mapbox Vector Tiles
+const vectorGridLayer = L.vectorGrid
+  .protobuf("/api/tiles/{z}/{x}/{y}.mvt?system={system}", {
+    system: gridSystem,
+    maxZoom: 19,
+    interactive: true,
+    getFeatureId: (feature) => feature.properties.name,
+    vectorTileLayerStyles: {
+      grid: (properties) => ({
+        color: properties.color,
+        weight: properties.weight,
+        opacity: properties.opacity,
+        dashArray: properties.dashArray,
+      }),
+    },
+  })
+  .on("click", (event) => {
+    L.popup()
+      .setLatLng(event.latlng)
+      .setContent(event.layer.properties.name)
+      .openOn(map);
+  });
+
 // Create view toggle control
 const viewToggle = L.control({ position: "bottomleft" });
 
@@ -49,11 +199,44 @@ viewToggle.onAdd = function () {
     <button class="view-toggle-button" title="Toggle between grid and cache view">
       <span class="view-label">Show Cache</span>
     </button>
+    <button class="view-toggle-button vector-toggle-button" title="Load grid lines as vector tiles">
+      <span class="vector-label">Vector tiles: off</span>
+    </button>
+    <button class="view-toggle-button labels-toggle-button" title="Label grid lines with their names, or rows and columns when zoomed out">
+      <span class="labels-label">Labels: off</span>
+    </button>
+    <select class="grid-system-select" title="Grid coordinate system"></select>
   `;
 
   L.DomEvent.disableClickPropagation(this._div);
 
-  this._div.querySelector("button").onclick = () => {
+  this._div.querySelector(".grid-system-select").onchange = (event) => {
+    gridSystem = event.target.value;
+    vectorGridLayer.options.system = gridSystem;
+    vectorGridLayer.redraw();
+    clearGridLayers();
+    updateView();
+  };
+
+  this._div.querySelector(".vector-toggle-button").onclick = () => {
+    useVectorTiles = !useVectorTiles;
+    updateView();
+
+    // Update button text
+    const label = this._div.querySelector(".vector-label");
+    label.textContent = `Vector tiles: ${useVectorTiles ? "on" : "off"}`;
+  };
+
+  this._div.querySelector(".labels-toggle-button").onclick = () => {
+    showLabels = !showLabels;
+    updateLabels();
+
+    // Update button text
+    const label = this._div.querySelector(".labels-label");
+    label.textContent = `Labels: ${showLabels ? "on" : "off"}`;
+  };
+
+  this._div.querySelector(".view-toggle-button").onclick = () => {
     isShowingCache = !isShowingCache;
     updateView();
 
@@ -67,6 +250,257 @@ viewToggle.onAdd = function () {
 
 viewToggle.addTo(map);
 
+// Load the grid definitions and list their grid systems
+fetch("/api/grids")
+  .then((response) => response.json())
+  .then((grids) => {
+    gridDefinitions = grids;
+    const systems = [...new Set(grids.map((grid) => grid.system))];
+    if (!systems.includes(gridSystem)) {
+      gridSystem = systems[0];
+      vectorGridLayer.options.system = gridSystem;
+    }
+
+    const select = document.querySelector(".grid-system-select");
+    select.innerHTML = systems
+      .map((system) => `<option value="${system}">${system}</option>`)
+      .join("");
+    select.value = gridSystem;
+  })
+  .catch((error) => console.error("Error loading grid definitions:", error));
+
+// Store the highlighted search result
+let highlightLayerGroup = L.layerGroup().addTo(map);
+
+// Create line search control
+const lineSearch = L.control({ position: "topleft" });
+
+lineSearch.onAdd = function () {
+  this._div = L.DomUtil.create("div", "line-search-control");
+  this._div.innerHTML = `
+    <form class="line-search-form">
+      <input type="text" class="line-search-input"
+             placeholder="able-acid-aged-also"
+             title="Find a grid line by its four-word name">
+      <button type="submit" class="line-search-button">Find</button>
+    </form>
+    <div class="line-search-message"></div>
+  `;
+
+  L.DomEvent.disableClickPropagation(this._div);
+  L.DomEvent.disableScrollPropagation(this._div);
+
+  this._div.querySelector("form").onsubmit = (event) => {
+    event.preventDefault();
+    const name = this._div.querySelector("input").value.trim();
+    if (name) {
+      this.search(name);
+    }
+  };
+
+  return this._div;
+};
+
+lineSearch.search = async function (name) {
+  const message = this._div.querySelector(".line-search-message");
+  message.textContent = "Searching...";
+
+  try {
+    const response = await fetch(`/api/lines/${encodeURIComponent(name)}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      message.textContent = data.error;
+      return;
+    }
+
+    message.textContent = `${data.gridType} line`;
+
+    // Replace any previous highlight with the found line
+    highlightLayerGroup.clearLayers();
+    const highlight = L.geoJSON(data.feature, {
+      style: {
+        color: data.color,
+        weight: 8,
+        opacity: 0.9,
+        className: "line-highlight",
+      },
+    })
+      .bindPopup(data.feature.properties.name)
+      .addTo(highlightLayerGroup);
+
+    map.flyToBounds(
+      [
+        [data.bbox.south, data.bbox.west],
+        [data.bbox.north, data.bbox.east],
+      ],
+      { maxZoom: 18 }
+    );
+    map.once("moveend", () => highlight.openPopup());
+  } catch (error) {
+    console.error("Error searching for grid line:", error);
+    message.textContent = "Search failed";
+  }
+};
+
+lineSearch.addTo(map);
+
+// Lines and areas being measured
+let measureLayerGroup = L.layerGroup().addTo(map);
+
+// Create measure control. In measure mode, clicks on the map add vertices
+// and the server measures the shape.
+const measureControl = L.control({ position: "topleft" });
+
+measureControl.onAdd = function () {
+  this.shape = null;
+  this.points = [];
+  this.sequence = 0;
+
+  this._div = L.DomUtil.create("div", "measure-control");
+  this._div.innerHTML = `
+    <div class="measure-buttons">
+      <button class="view-toggle-button" data-shape="line" title="Measure distance along a line">Distance</button>
+      <button class="view-toggle-button" data-shape="polygon" title="Measure the area of a polygon">Area</button>
+      <button class="view-toggle-button measure-clear-button" title="Stop measuring">Clear</button>
+    </div>
+    <label class="measure-snap" title="Snap vertices to grid line crossings">
+      <input type="checkbox"> Snap to grid
+    </label>
+    <div class="measure-result"></div>
+  `;
+
+  L.DomEvent.disableClickPropagation(this._div);
+
+  this._div.querySelectorAll("[data-shape]").forEach((button) => {
+    button.onclick = () =>
+      this.start(
+        button.dataset.shape === this.shape ? null : button.dataset.shape
+      );
+  });
+  this._div.querySelector(".measure-clear-button").onclick = () =>
+    this.start(null);
+  this._div.querySelector(".measure-snap input").onchange = () =>
+    this.measure();
+
+  return this._div;
+};
+
+// Start measuring a shape, or stop measuring with null
+measureControl.start = function (shape) {
+  this.shape = shape;
+  this.points = [];
+  this.sequence++;
+  measureLayerGroup.clearLayers();
+  this._div.querySelector(".measure-result").textContent = shape
+    ? "Click the map to add points"
+    : "";
+  this._div.querySelectorAll("[data-shape]").forEach((button) => {
+    button.classList.toggle("active", button.dataset.shape === shape);
+  });
+
+  // Double clicks add points rather than zoom while measuring
+  map.getContainer().classList.toggle("measuring", Boolean(shape));
+  if (shape) {
+    map.doubleClickZoom.disable();
+  } else {
+    map.doubleClickZoom.enable();
+  }
+};
+
+// Format a distance in meters
+function formatDistance(meters) {
+  return meters < 1000
+    ? `${meters.toFixed(1)} m`
+    : `${(meters / 1000).toFixed(3)} km`;
+}
+
+// Format an area in square meters
+function formatArea(squareMeters) {
+  return squareMeters < 1000000
+    ? `${Math.round(squareMeters)} m²`
+    : `${(squareMeters / 1000000).toFixed(3)} km²`;
+}
+
+// Measure the current points on the server and draw the measured shape
+measureControl.measure = async function () {
+  if (!this.shape || this.points.length === 0) {
+    return;
+  }
+  const sequence = ++this.sequence;
+  const result = this._div.querySelector(".measure-result");
+  const grid = getGridForZoom(map.getZoom());
+
+  try {
+    const response = await fetch("/api/measure", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        shape: this.shape,
+        points: this.points,
+        size: grid ? grid.spacing : undefined,
+        system: gridSystem,
+        snap: this._div.querySelector(".measure-snap input").checked,
+      }),
+    });
+    const data = await response.json();
+
+    // Drop responses for points that have since changed
+    if (sequence !== this.sequence) {
+      return;
+    }
+    if (!response.ok) {
+      result.innerHTML = '<span class="api-error"></span>';
+      result.firstChild.textContent = formatApiError(data);
+      return;
+    }
+
+    const latLngs = data.points.map(({ lat, lng }) => [lat, lng]);
+    const style = { color: "#e67e22", weight: 3, dashArray: "6, 4" };
+    measureLayerGroup.clearLayers();
+    (data.shape === "polygon"
+      ? L.polygon(latLngs, { ...style, fillOpacity: 0.15 })
+      : L.polyline(latLngs, style)
+    ).addTo(measureLayerGroup);
+    latLngs.forEach((latLng) =>
+      L.circleMarker(latLng, {
+        radius: 4,
+        color: "#e67e22",
+        fillColor: "white",
+        fillOpacity: 1,
+        weight: 2,
+      }).addTo(measureLayerGroup)
+    );
+
+    const cellSize = `${data.cells.size}m cells`;
+    result.innerHTML =
+      data.shape === "polygon"
+        ? `<p>Area: ${data.area === null ? "-" : formatArea(data.area)} (${
+            data.cells.area ?? 0
+          } ${cellSize})</p>
+          <p>Perimeter: ${formatDistance(data.distance)}</p>`
+        : `<p>Distance: ${formatDistance(data.distance)} (${
+            data.cells.length
+          } ${cellSize})</p>`;
+  } catch (error) {
+    console.error("Error measuring:", error);
+    result.textContent = "Measuring failed";
+  }
+};
+
+// Add a vertex where the map is clicked while measuring
+map.on("click", (event) => {
+  if (measureControl.shape) {
+    measureControl.points.push({
+      lat: event.latlng.lat,
+      lng: event.latlng.wrap().lng,
+    });
+    measureControl.measure();
+  }
+});
+
+measureControl.addTo(map);
+
 // Create info control
 const info = L.control();
 
@@ -87,7 +521,6 @@ info.update = async function (isMoving = false) {
   }
 
   try {
-    const bounds = map.getBounds();
     const center = map.getCenter();
     const zoom = map.getZoom();
 
@@ -95,17 +528,30 @@ info.update = async function (isMoving = false) {
     const infoResponse = await fetch(
       `/api/info?lat=${center.lat}&lng=${
         center.lng
-      }&zoom=${zoom}&north=${bounds.getNorth()}&south=${bounds.getSouth()}&east=${bounds.getEast()}&west=${bounds.getWest()}`
+      }&zoom=${zoom}&${getBoundsQuery()}`
     );
     const info = await infoResponse.json();
 
+    if (!infoResponse.ok) {
+      this._div.innerHTML = `<h4>Map Information</h4><p class="api-error"></p>`;
+      this._div.querySelector(".api-error").textContent = formatApiError(info);
+      return;
+    }
+
     this._div.classList.remove("updating");
     this._div.innerHTML = `
       <h4>Map Information</h4>
       <p>Zoom level: ${info.zoom}</p>
-      <p>Tiles: x(${info.tiles.x.min}-${info.tiles.x.max}), y(${info.tiles.y.min}-${info.tiles.y.max})</p>
+      <p>Tiles: x(${info.tiles.x.min}-${info.tiles.x.max}), y(${
+      info.tiles.y.min
+    }-${info.tiles.y.max})</p>
       <p>Viewport: ${info.viewport.width}m × ${info.viewport.height}m</p>
       <p>Diagonal: ${info.viewport.diagonal}m</p>
+      ${
+        selectedCell
+          ? `<p>Cell: <code class="cell-id">${selectedCell.id}</code></p>`
+          : ""
+      }
     `;
   } catch (error) {
     console.error("Error fetching map information:", error);
@@ -115,6 +561,151 @@ info.update = async function (isMoving = false) {
 
 info.addTo(map);
 
+// Create cache stats control, refreshed from /api/stats while open
+const statsPanel = L.control({ position: "topright" });
+
+statsPanel.onAdd = function () {
+  this._div = L.DomUtil.create("div", "stats-control");
+  this._div.innerHTML = `
+    <button class="view-toggle-button stats-toggle-button" title="Show cache and query statistics">
+      Stats
+    </button>
+    <div class="stats-content"></div>
+  `;
+
+  L.DomEvent.disableClickPropagation(this._div);
+
+  this._div.querySelector(".stats-toggle-button").onclick = () => {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+      this._div.querySelector(".stats-content").innerHTML = "";
+    } else {
+      this.update();
+      this._timer = setInterval(() => this.update(), 5000);
+    }
+  };
+
+  return this._div;
+};
+
+// Format a 0-1 rate as a percentage
+function formatRate(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+statsPanel.update = async function () {
+  const content = this._div.querySelector(".stats-content");
+
+  try {
+    const response = await fetch("/api/stats");
+    const stats = await response.json();
+
+    // The panel may have been closed while loading
+    if (!this._timer) {
+      return;
+    }
+
+    const zoomRows = Object.entries(stats.tiles.byZoom)
+      .map(
+        ([zoom, { hits, misses, hitRate }]) =>
+          `<tr><td>${zoom}</td><td>${hits}</td><td>${misses}</td><td>${formatRate(
+            hitRate
+          )}</td></tr>`
+      )
+      .join("");
+
+    content.innerHTML = `
+      <h4>Cache (${stats.cacheBackend})</h4>
+      <p>Tiles: ${stats.tiles.hits} hits, ${stats.tiles.misses} misses
+        (<span class="cache-stats">${formatRate(
+          stats.tiles.hitRate
+        )}</span>)</p>
+      <p>Content: ${formatRate(stats.content.hitRate)} of ${
+      stats.content.hits + stats.content.misses
+    } lookups</p>
+      <p>Prefetch: ${formatRate(stats.prefetch.hitRate)} of ${
+      stats.prefetch.fetched
+    } prefetched tiles used</p>
+      ${
+        zoomRows
+          ? `<table class="stats-table">
+              <tr><th>Zoom</th><th>Hits</th><th>Misses</th><th>Rate</th></tr>
+              ${zoomRows}
+            </table>`
+          : ""
+      }
+      <h4>Database</h4>
+      <p>Queries: ${stats.queries.count}, mean ${
+      stats.queries.meanMs
+    }ms, p95 ≤ ${stats.queries.p95Ms ?? "?"}ms</p>
+      <p>Queue wait: mean ${stats.throttling.meanWaitMs}ms, p95 ≤ ${
+      stats.throttling.p95WaitMs ?? "?"
+    }ms</p>
+      <p>Rejected: ${stats.throttling.rateLimited} rate limited, ${
+      stats.throttling.queueFull
+    } queue full</p>
+      <p>Features: ${stats.features.mean} per response over ${
+      stats.features.responses
+    } responses</p>
+    `;
+  } catch (error) {
+    console.error("Error fetching stats:", error);
+    content.innerHTML = "Error loading stats";
+  }
+};
+
+statsPanel.addTo(map);
+
+// Store the selected grid cell and its outline
+let selectedCell = null;
+let cellLayerGroup = L.layerGroup().addTo(map);
+
+// Highlight the grid cell under a clicked point
+map.on("click", async (event) => {
+  const grid = getGridForZoom(map.getZoom());
+  if (!grid || measureControl.shape) {
+    return;
+  }
+  const size = grid.spacing;
+
+  try {
+    const response = await fetch(
+      `/api/cell?lat=${event.latlng.lat}&lng=${event.latlng.lng}&size=${size}&system=${gridSystem}`
+    );
+    const cell = await response.json();
+
+    cellLayerGroup.clearLayers();
+    if (!response.ok) {
+      selectedCell = null;
+      await info.update();
+      showApiError(cell);
+      return;
+    }
+
+    selectedCell = cell;
+    L.geoJSON(cell.geometry, {
+      style: {
+        color: "#8e44ad",
+        weight: 3,
+        fillColor: "#9b59b6",
+        fillOpacity: 0.3,
+      },
+    })
+      .bindTooltip(
+        `${cell.id}<br>
+        N: ${cell.edges.north || "-"}<br>
+        S: ${cell.edges.south || "-"}<br>
+        E: ${cell.edges.east || "-"}<br>
+        W: ${cell.edges.west || "-"}`
+      )
+      .addTo(cellLayerGroup);
+    info.update();
+  } catch (error) {
+    console.error("Error fetching grid cell:", error);
+  }
+});
+
 // Add CSS for the overlay
 const style = document.createElement("style");
 style.textContent = `
@@ -144,8 +735,77 @@ document.head.appendChild(style);
 // Keep track of current zoom level
 let currentZoomLevel = map.getZoom();
 
+// Time until which grid requests are held back after a 429 response
+let backoffUntil = 0;
+let backoffTimer = null;
+
+// Hold grid requests back for the server's Retry-After time, then retry
+function backOff(retryAfter) {
+  backoffUntil = Date.now() + retryAfter * 1000;
+  showLoadInfo(true, `Server busy, retrying in ${retryAfter}s`);
+
+  clearTimeout(backoffTimer);
+  backoffTimer = setTimeout(() => {
+    backoffTimer = null;
+    updateView();
+  }, retryAfter * 1000);
+}
+
+// Replace the load information in the info overlay
+function showLoadInfo(isBusy, html) {
+  const oldLoadInfo = document.querySelector(".delay-info-container");
+  if (oldLoadInfo) {
+    oldLoadInfo.remove();
+  }
+
+  const loadInfo = document.createElement("div");
+  loadInfo.className = "delay-info-container";
+  loadInfo.innerHTML = `
+    <p>Load:</p>
+    <p class="delay-info ${isBusy ? "active" : ""}">${html}</p>
+  `;
+  document.querySelector(".info-overlay").appendChild(loadInfo);
+}
+
+// Show an error response from the API in the load information
+function showApiError(data) {
+  const message = document.createElement("span");
+  message.className = "api-error";
+  message.textContent = formatApiError(data);
+  showLoadInfo(true, message.outerHTML);
+}
+
+// Track the latest viewport request so superseded ones can be cancelled
+let gridRequestController = null;
+let gridRequestSequence = 0;
+
+// Start a viewport request, aborting the previous one. Returns the
+// request's sequence number and abort signal.
+function startViewportRequest() {
+  if (gridRequestController) {
+    gridRequestController.abort();
+  }
+  gridRequestController = new AbortController();
+  return {
+    sequence: ++gridRequestSequence,
+    signal: gridRequestController.signal,
+  };
+}
+
+// Whether a newer viewport request has been started since this one
+function isStale(sequence) {
+  return sequence !== gridRequestSequence;
+}
+
 // Function to fetch and display GeoJSON data
 async function fetchAndDisplayGeoJSON() {
+  // A retry is already scheduled while backing off
+  if (Date.now() < backoffUntil) {
+    return;
+  }
+
+  const { sequence, signal } = startViewportRequest();
+
   try {
     // Get current zoom level
     const zoom = map.getZoom();
@@ -153,83 +813,326 @@ async function fetchAndDisplayGeoJSON() {
     // Always clear layers on zoom change or if zoom hasn't been set
     const zoomChanged = zoom !== currentZoomLevel;
     if (zoomChanged) {
-      gridLayerGroup.clearLayers();
+      clearGridLayers();
     }
 
-    const bounds = map.getBounds();
-
     // Update info overlay
     info.update();
 
     // Use relative path for API with zoom level
     const response = await fetch(
-      `/api/grid?north=${bounds.getNorth()}&south=${bounds.getSouth()}&east=${bounds.getEast()}&west=${bounds.getWest()}&zoom=${zoom}`
+      `/api/grid?${getBoundsQuery()}&zoom=${zoom}&system=${gridSystem}`,
+      { signal }
     );
+
+    // Back off when the server is rate limiting or its queue is full
+    if (response.status === 429) {
+      const retryAfter = parseInt(response.headers.get("Retry-After")) || 1;
+      backOff(retryAfter);
+      return;
+    }
+
     const geojsonData = await response.json();
 
+    // Drop responses for viewports that have since changed
+    if (isStale(sequence)) {
+      return;
+    }
+
+    // Show rejected requests, such as a viewport covering too many tiles
+    if (!response.ok) {
+      showApiError(geojsonData);
+      return;
+    }
+
     // Update current zoom level after successful fetch
     if (zoomChanged) {
       currentZoomLevel = zoom;
     }
 
-    // Remove old delay info if it exists
-    const oldDelayInfo = document.querySelector(".delay-info-container");
-    if (oldDelayInfo) {
-      oldDelayInfo.remove();
-    }
-
-    // Create new delay info
-    const delayInfo = document.createElement("div");
-    delayInfo.className = "delay-info-container";
-    delayInfo.innerHTML = `
-      <p>Load simulation:</p>
-      <p class="delay-info ${
-        geojsonData.metadata.currentDelay > 0 ? "active" : ""
-      }">
-        Delay: <span class="delay-value">${
-          geojsonData.metadata.currentDelay
-        }</span>ms
-        (${geojsonData.metadata.activeRequests} active)
+    updateGridLayers(geojsonData.features);
+
+    // Grid responses are shared through the proxy cache, so the queue
+    // state and rate limit come from the server separately
+    const { cacheInfo } = geojsonData.metadata;
+    const { queue, rateLimit } = await (
+      await fetch("/api/load", { signal })
+    ).json();
+    if (isStale(sequence)) {
+      return;
+    }
+    showLoadInfo(
+      queue.queued > 0,
+      `
+        Database: <span class="delay-value">${queue.active}/${
+        queue.maxConcurrent
+      }</span> active, ${queue.queued}/${queue.maxQueueDepth} queued
+        <br>
+        Rate limit: ${rateLimit.remaining}/${rateLimit.capacity} requests left
         <br>
-        Cache: ${geojsonData.metadata.cacheInfo.cached} cached, 
-        ${geojsonData.metadata.cacheInfo.queried} queried
+        Cache: ${cacheInfo.cached} cached, 
+        ${cacheInfo.queried} queried,
+        ${cacheInfo.piecesMerged} pieces merged
         <br>
-        Zoom ${geojsonData.metadata.cacheInfo.zoomLevel} tiles: 
+        Zoom ${cacheInfo.zoomLevel} tiles: 
         <span class="cache-stats ${
-          geojsonData.metadata.cacheInfo.tilesInZoom.cached ===
-          geojsonData.metadata.cacheInfo.tilesInZoom.total
+          cacheInfo.tilesInZoom.cached === cacheInfo.tilesInZoom.total
             ? "all-cached"
             : ""
         }">
-          ${geojsonData.metadata.cacheInfo.tilesInZoom.cached}/${
-      geojsonData.metadata.cacheInfo.tilesInZoom.total
-    }
-        </span> in cache
-      </p>
-    `;
-    document.querySelector(".info-overlay").appendChild(delayInfo);
-
-    // Add GeoJSON to the layer group
-    L.geoJSON(geojsonData, {
-      style: function (feature) {
-        return {
-          color: feature.properties.color,
-          weight: feature.properties.weight,
-          opacity: feature.properties.opacity,
-          dashArray: feature.properties.dashArray,
-        };
-      },
-      onEachFeature: function (feature, layer) {
-        if (feature.properties && feature.properties.name) {
-          layer.bindPopup(feature.properties.name);
-        }
-      },
-    }).addTo(gridLayerGroup);
+          ${cacheInfo.tilesInZoom.cached}/${cacheInfo.tilesInZoom.total}
+        </span> in cache, ${cacheInfo.tilesInZoom.prefetched} prefetched
+        <br>
+        Prefetch: ${cacheInfo.prefetch.hits}/${
+        cacheInfo.prefetch.fetched
+      } used (${Math.round(cacheInfo.prefetch.hitRate * 100)}%), ${
+        cacheInfo.prefetch.pending
+      } pending
+      `
+    );
   } catch (error) {
+    if (error.name === "AbortError") {
+      return;
+    }
     console.error("Error fetching GeoJSON data:", error);
   }
 }
 
+// Leaflet coordinates of a LineString or MultiLineString
+function getLineLatLngs(geometry) {
+  return L.GeoJSON.coordsToLatLngs(
+    geometry.coordinates,
+    geometry.type === "MultiLineString" ? 1 : 0
+  );
+}
+
+// Sync the grid layer group with the features of the latest response.
+// Lines are matched by name. A line whose geometry grew as more tiles
+// joined it keeps its layer and only has its coordinates replaced.
+function updateGridLayers(features) {
+  const currentIds = new Set();
+
+  features.forEach((feature) => {
+    const id = feature.properties.name;
+    const geometryKey = JSON.stringify(feature.geometry);
+    currentIds.add(id);
+
+    const existing = gridFeatureLayers.get(id);
+    if (existing) {
+      if (existing.geometryKey !== geometryKey) {
+        existing.layer.setLatLngs(getLineLatLngs(feature.geometry));
+        existing.geometryKey = geometryKey;
+        existing.feature = feature;
+      }
+      return;
+    }
+
+    const layer = L.polyline(getLineLatLngs(feature.geometry), {
+      color: feature.properties.color,
+      weight: feature.properties.weight,
+      opacity: feature.properties.opacity,
+      dashArray: feature.properties.dashArray,
+    }).bindPopup(feature.properties.name);
+
+    gridLayerGroup.addLayer(layer);
+    gridFeatureLayers.set(id, { layer, geometryKey, feature });
+  });
+
+  // Remove lines that are no longer in view
+  gridFeatureLayers.forEach((entry, id) => {
+    if (!currentIds.has(id)) {
+      gridLayerGroup.removeLayer(entry.layer);
+      gridFeatureLayers.delete(id);
+    }
+  });
+
+  updateLabels();
+}
+
+// Approximate size of label text in pixels
+const LABEL_CHAR_WIDTH = 6.5;
+const LABEL_HEIGHT = 14;
+
+// Length of a line name, four four-letter words joined by hyphens
+const LINE_NAME_LENGTH = 19;
+
+// Whether the lines of the shown grid are far enough apart on screen to
+// draw line names along them. Row and column numbers are drawn in the map
+// margins otherwise.
+function showsLineNames() {
+  const grid = getGridForZoom(map.getZoom());
+  if (!grid) {
+    return false;
+  }
+  const { y } = map.getSize().divideBy(2);
+  const metersPerPixel =
+    map.distance(
+      map.containerPointToLatLng([0, y]),
+      map.containerPointToLatLng([100, y])
+    ) / 100;
+  return grid.spacing / metersPerPixel >= LINE_NAME_LENGTH * LABEL_CHAR_WIDTH;
+}
+
+// The visible pieces of a line as container point segments
+function getVisibleSegments(geometry, viewport) {
+  const parts =
+    geometry.type === "MultiLineString"
+      ? geometry.coordinates
+      : [geometry.coordinates];
+  const segments = [];
+  for (const part of parts) {
+    const points = part.map(([lng, lat]) =>
+      map.latLngToContainerPoint([lat, lng])
+    );
+    for (let i = 1; i < points.length; i++) {
+      const clipped = L.LineUtil.clipSegment(
+        points[i - 1],
+        points[i],
+        viewport
+      );
+      if (clipped) {
+        segments.push(clipped);
+      }
+    }
+  }
+  return segments;
+}
+
+// Point and direction at a fraction of the length of segments
+function getPointAlong(segments, fraction) {
+  const total = segments.reduce((sum, [a, b]) => sum + a.distanceTo(b), 0);
+  let remaining = total * fraction;
+  for (const [a, b] of segments) {
+    const length = a.distanceTo(b);
+    if (remaining <= length && length > 0) {
+      const t = remaining / length;
+      return {
+        point: L.point(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t),
+        angle: (Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI,
+      };
+    }
+    remaining -= length;
+  }
+  return null;
+}
+
+// Screen box of a label of `width` centered on a point and turned by
+// `angle` degrees
+function getLabelBox(point, width, angle) {
+  const radians = (angle * Math.PI) / 180;
+  const halfWidth =
+    (Math.abs(Math.cos(radians)) * width +
+      Math.abs(Math.sin(radians)) * LABEL_HEIGHT) /
+    2;
+  const halfHeight =
+    (Math.abs(Math.sin(radians)) * width +
+      Math.abs(Math.cos(radians)) * LABEL_HEIGHT) /
+    2;
+  return L.bounds(
+    [point.x - halfWidth, point.y - halfHeight],
+    [point.x + halfWidth, point.y + halfHeight]
+  );
+}
+
+// Add a label unless it overlaps one already placed or leaves the map
+function placeLabel(placed, viewport, text, point, angle, className) {
+  const box = getLabelBox(point, text.length * LABEL_CHAR_WIDTH + 6, angle);
+  if (
+    !viewport.contains(box) ||
+    placed.some((other) => other.intersects(box))
+  ) {
+    return false;
+  }
+  placed.push(box);
+
+  const label = document.createElement("span");
+  label.textContent = text;
+  label.style.transform = `translate(-50%, -50%) rotate(${angle}deg)`;
+  L.marker(map.containerPointToLatLng(point), {
+    icon: L.divIcon({ className, html: label.outerHTML, iconSize: [0, 0] }),
+    interactive: false,
+    keyboard: false,
+  }).addTo(labelLayerGroup);
+  return true;
+}
+
+// Label the grid lines on the map. Zoomed in, each line gets its name
+// along it; zoomed out, horizontal lines get their row number in the left
+// margin and vertical lines their column number in the top margin, like
+// the margins of a printed grid map. Labels that would overlap are left
+// out.
+function updateLabels() {
+  labelLayerGroup.clearLayers();
+  if (!showLabels || isShowingCache || useVectorTiles) {
+    return;
+  }
+
+  const viewport = L.bounds([0, 0], map.getSize());
+  const placed = [];
+  const features = [...gridFeatureLayers.values()].map(
+    (entry) => entry.feature
+  );
+
+  if (showsLineNames()) {
+    for (const { properties, geometry } of features) {
+      const segments = getVisibleSegments(geometry, viewport);
+      // Try the middle of the visible line first, then further out
+      for (const fraction of [0.5, 0.3, 0.7, 0.15, 0.85]) {
+        const along = getPointAlong(segments, fraction);
+        if (!along) {
+          break;
+        }
+        // Keep the text upright
+        let { angle } = along;
+        if (angle > 90) {
+          angle -= 180;
+        } else if (angle < -90) {
+          angle += 180;
+        }
+        if (
+          placeLabel(
+            placed,
+            viewport,
+            properties.name,
+            along.point,
+            angle,
+            "grid-label"
+          )
+        ) {
+          break;
+        }
+      }
+    }
+    return;
+  }
+
+  for (const { properties, geometry } of features) {
+    if (properties.position === undefined) {
+      continue;
+    }
+    const horizontal = properties.orientation === "horizontal";
+
+    // The visible end of the line nearest the margin
+    const points = getVisibleSegments(geometry, viewport).flat();
+    if (points.length === 0) {
+      continue;
+    }
+    const start = points.reduce((best, point) =>
+      (horizontal ? point.x < best.x : point.y < best.y) ? point : best
+    );
+
+    // Rows restart in each latitude band, as in cell ids
+    const text = horizontal
+      ? `${properties.band}:${properties.position}`
+      : `${properties.position}`;
+    const width = text.length * LABEL_CHAR_WIDTH + 6;
+    const point = horizontal
+      ? L.point(start.x + width / 2 + 2, start.y)
+      : L.point(start.x, start.y + LABEL_HEIGHT / 2 + 2);
+    placeLabel(placed, viewport, text, point, 0, "grid-margin-label");
+  }
+}
+
 // Call the function when the page loads and when map moves or zooms
 fetchAndDisplayGeoJSON();
 map.on("movestart", () => info.update(true));
@@ -237,7 +1140,7 @@ map.on("zoomstart", () => info.update(true));
 map.on("moveend", () => {
   // Clear grid if zoom changed during movement
   if (map.getZoom() !== currentZoomLevel) {
-    gridLayerGroup.clearLayers();
+    clearGridLayers();
   }
   updateView();
   info.update();
@@ -253,12 +1156,13 @@ map.on("moveend", () => {
   // Update URL without reloading the page
   const newUrl = `${window.location.pathname}?lat=${center.lat}&lng=${
     center.lng
-  }&zoom=${map.getZoom()}`;
+  }&zoom=${map.getZoom()}&system=${gridSystem}`;
   window.history.replaceState(state, "", newUrl);
 });
+map.on("moveend", updateLabels);
 map.on("zoomend", () => {
   // Clear grid on zoom change
-  gridLayerGroup.clearLayers();
+  clearGridLayers();
   updateView();
   info.update();
 });
@@ -314,6 +1218,22 @@ function getVisibleTiles(bounds, zoom) {
   return { tiles: [], gridStyle: "", width: 0, height: 0 };
 }
 
+// A tile of the current basemap in the preview grid, or its coordinates
+// when there is no basemap
+function renderPreviewTile(tile) {
+  const name = `${tile.z}/${tile.x}/${tile.y}`;
+  const url = getBasemapTileUrl(tile);
+  return `
+        <div class="tile-container">
+          ${
+            url
+              ? `<img src="${url}" width="64" height="64" title="${name}" alt="Basemap tile">`
+              : `<div class="tile-placeholder">${name}</div>`
+          }
+        </div>
+      `;
+}
+
 // Update the tile preview popup
 tilePreview.showTilePopup = function () {
   const zoom = map.getZoom();
@@ -325,21 +1245,10 @@ tilePreview.showTilePopup = function () {
   const content = document.createElement("div");
   content.className = "tile-popup";
   content.innerHTML = `
-    <h4>Visible OSM Tiles</h4>
+    <h4>Visible Tiles</h4>
     <p>Zoom Level: ${zoom} (${width}×${height} tiles)</p>
     <div class="tile-grid" style="${gridStyle}">
-      ${tiles
-        .map(
-          (tile) => `
-        <div class="tile-container">
-          <img src="https://tile.openstreetmap.org/${tile.z}/${tile.x}/${tile.y}.png" 
-               width="64" height="64" 
-               title="${tile.z}/${tile.x}/${tile.y}"
-               alt="OSM tile">
-        </div>
-      `
-        )
-        .join("")}
+      ${tiles.map(renderPreviewTile).join("")}
     </div>
   `;
 
@@ -434,39 +1343,316 @@ tileStyle.textContent = `
 `;
 document.head.appendChild(tileStyle);
 
-// Function to convert tile coordinates to bounds
-function getTileBounds(z, x, y) {
-  function tile2lat(y, z) {
-    const n = Math.PI - (2 * Math.PI * y) / Math.pow(2, z);
-    return (180 / Math.PI) * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
+// Create export control, downloading the grid lines of the current view
+const exportControl = L.control({ position: "bottomright" });
+
+exportControl.onAdd = function () {
+  this._div = L.DomUtil.create("div", "export-control");
+  this._div.innerHTML = `
+    <button class="view-toggle-button export-toggle-button" title="Download the grid lines in view">
+      Export view
+    </button>
+    <div class="export-content" hidden>
+      <select class="export-format">
+        <option value="geojson">GeoJSON</option>
+        <option value="kml">KML</option>
+        <option value="gpx">GPX</option>
+        <option value="csv-wkt">CSV (WKT)</option>
+        <option value="shapefile">Shapefile (zip)</option>
+      </select>
+      <button class="view-toggle-button export-download-button">Download</button>
+      <p class="export-status"></p>
+    </div>
+  `;
+
+  L.DomEvent.disableClickPropagation(this._div);
+
+  const content = this._div.querySelector(".export-content");
+  this._div.querySelector(".export-toggle-button").onclick = () => {
+    content.hidden = !content.hidden;
+  };
+  this._div.querySelector(".export-download-button").onclick = () =>
+    this.download();
+
+  return this._div;
+};
+
+exportControl.download = async function () {
+  const status = this._div.querySelector(".export-status");
+  const showStatus = (text, isError = true) => {
+    status.textContent = text;
+    status.classList.toggle("api-error", isError);
+  };
+  const format = this._div.querySelector(".export-format").value;
+  const grid = getGridForZoom(map.getZoom());
+  if (!grid) {
+    showStatus("No grid at this zoom level");
+    return;
   }
 
-  function tile2lng(x, z) {
-    return (x / Math.pow(2, z)) * 360 - 180;
+  showStatus("Exporting…", false);
+  try {
+    const response = await fetch(
+      `/api/export?${getBoundsQuery()}&type=${grid.type}&format=${format}`
+    );
+    if (!response.ok) {
+      showStatus(formatApiError(await response.json()));
+      return;
+    }
+
+    // Save the file under the name the server gave it
+    const disposition = response.headers.get("Content-Disposition") || "";
+    const match = disposition.match(/filename="([^"]+)"/);
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = match ? match[1] : `grid-${grid.type}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    showStatus("", false);
+  } catch (error) {
+    console.error("Error exporting grid:", error);
+    showStatus("Export failed");
   }
+};
+
+exportControl.addTo(map);
+
+// Uploaded overlay and the grid lines it crosses
+let overlayLayerGroup = L.layerGroup().addTo(map);
+let overlayLinesGroup = L.layerGroup().addTo(map);
+
+// Create overlay results panel, listing the lines and cells an uploaded
+// route or area crosses
+const overlayPanel = L.control({ position: "topright" });
+
+overlayPanel.onAdd = function () {
+  this._div = L.DomUtil.create("div", "overlay-control");
+  this._div.hidden = true;
+  L.DomEvent.disableClickPropagation(this._div);
+  L.DomEvent.disableScrollPropagation(this._div);
+  return this._div;
+};
+
+// Show an uploaded overlay and its intersections with a grid type
+overlayPanel.show = function (overlay) {
+  this.overlay = overlay;
+  const types = gridDefinitions
+    .filter((grid) => grid.system === gridSystem)
+    .map((grid) => grid.type);
+
+  // Start with the grid shown once the map has zoomed to the overlay
+  const bounds = L.latLngBounds(
+    [overlay.bounds.south, overlay.bounds.west],
+    [overlay.bounds.north, overlay.bounds.east]
+  );
+  const grid = getGridForZoom(Math.min(map.getBoundsZoom(bounds), 18));
+  const selected = grid ? grid.type : types[0];
+
+  this._div.hidden = false;
+  this._div.innerHTML = `
+    <div class="overlay-header">
+      <h4></h4>
+      <button class="overlay-close-button" title="Remove overlay">×</button>
+    </div>
+    <select class="overlay-type-select">
+      ${types
+        .map(
+          (type) =>
+            `<option value="${type}" ${
+              type === selected ? "selected" : ""
+            }>${type}</option>`
+        )
+        .join("")}
+    </select>
+    <div class="overlay-results"></div>
+  `;
+  this._div.querySelector("h4").textContent = overlay.name || "Overlay";
+  this._div.querySelector(".overlay-close-button").onclick = () => this.hide();
+  this._div.querySelector(".overlay-type-select").onchange = (event) =>
+    this.update(event.target.value);
+
+  overlayLayerGroup.clearLayers();
+  L.geoJSON(overlay.geometry, {
+    style: { color: "#8e44ad", weight: 3, fillOpacity: 0.1 },
+  }).addTo(overlayLayerGroup);
+  map.flyToBounds(bounds, { maxZoom: 18 });
+
+  this.update(selected);
+};
+
+overlayPanel.hide = function () {
+  this.overlay = null;
+  this._div.hidden = true;
+  overlayLayerGroup.clearLayers();
+  overlayLinesGroup.clearLayers();
+};
 
-  const north = tile2lat(y, z);
-  const south = tile2lat(y + 1, z);
-  const west = tile2lng(x, z);
-  const east = tile2lng(x + 1, z);
+overlayPanel.showMessage = function (text, isError = false) {
+  this._div.hidden = false;
+  this._div.innerHTML = '<p class="overlay-message"></p>';
+  const message = this._div.querySelector(".overlay-message");
+  message.textContent = text;
+  message.classList.toggle("api-error", isError);
+};
+
+// Load the lines and cells the overlay crosses in a grid type and
+// highlight the lines
+overlayPanel.update = async function (type) {
+  const overlay = this.overlay;
+  const results = this._div.querySelector(".overlay-results");
+  results.textContent = "Intersecting...";
+  overlayLinesGroup.clearLayers();
+
+  try {
+    const response = await fetch(
+      `/api/overlays/${overlay.id}/intersections?type=${type}`
+    );
+    const data = await response.json();
 
-  return L.latLngBounds([south, west], [north, east]);
+    // The overlay may have been replaced or removed while loading
+    if (this.overlay !== overlay) {
+      return;
+    }
+    if (!response.ok) {
+      results.innerHTML = `<span class="api-error"></span>`;
+      results.firstChild.textContent = formatApiError(data);
+      return;
+    }
+
+    const lineLayers = new Map(
+      data.lines.map((line) => [
+        line.name,
+        L.geoJSON(line.geometry, {
+          style: {
+            color: line.color,
+            weight: 6,
+            opacity: 0.9,
+            className: "line-highlight",
+          },
+        })
+          .bindPopup(line.name)
+          .addTo(overlayLinesGroup),
+      ])
+    );
+
+    results.innerHTML = `
+      <p>${data.lines.length}${data.truncated.lines ? "+" : ""} lines</p>
+      <ul class="overlay-lines">
+        ${data.lines
+          .map((line) => `<li><a href="#">${line.name}</a></li>`)
+          .join("")}
+      </ul>
+      <p>${data.cells.length}${data.truncated.cells ? "+" : ""} cells</p>
+      <ul class="overlay-cells">
+        ${data.cells.map((cell) => `<li>${cell}</li>`).join("")}
+      </ul>
+    `;
+
+    // Zoom to a line when its name is clicked
+    results.querySelectorAll(".overlay-lines a").forEach((link) => {
+      link.onclick = (event) => {
+        event.preventDefault();
+        const layer = lineLayers.get(link.textContent);
+        map.flyToBounds(layer.getBounds(), { maxZoom: 18 });
+        map.once("moveend", () => layer.openPopup());
+      };
+    });
+  } catch (error) {
+    console.error("Error intersecting overlay:", error);
+    results.textContent = "Intersection failed";
+  }
+};
+
+overlayPanel.addTo(map);
+
+// File formats by file name extension, GeoJSON otherwise
+function getOverlayFormat(fileName) {
+  if (/\.gpx$/i.test(fileName)) {
+    return "gpx";
+  }
+  if (/\.kml$/i.test(fileName)) {
+    return "kml";
+  }
+  return "geojson";
+}
+
+// Upload a dropped file as an overlay and show what it crosses
+async function importOverlay(file) {
+  overlayPanel.showMessage(`Uploading ${file.name}...`);
+
+  try {
+    const response = await fetch("/api/overlays", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        name: file.name,
+        format: getOverlayFormat(file.name),
+        data: await file.text(),
+      }),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      overlayPanel.showMessage(formatApiError(data), true);
+      return;
+    }
+    overlayPanel.show(data);
+  } catch (error) {
+    console.error("Error importing overlay:", error);
+    overlayPanel.showMessage("Import failed", true);
+  }
+}
+
+// Import GeoJSON, GPX and KML files dropped onto the map
+const mapContainer = map.getContainer();
+mapContainer.addEventListener("dragover", (event) => {
+  event.preventDefault();
+  mapContainer.classList.add("drop-target");
+});
+mapContainer.addEventListener("dragleave", () =>
+  mapContainer.classList.remove("drop-target")
+);
+mapContainer.addEventListener("drop", (event) => {
+  event.preventDefault();
+  mapContainer.classList.remove("drop-target");
+  const [file] = event.dataTransfer.files;
+  if (file) {
+    importOverlay(file);
+  }
+});
+
+// Bounds of a tile on the copy of the world closest to the map center, so
+// tiles past the antimeridian show up next to the viewport
+function getTileLatLngBounds(z, x, y) {
+  const { north, south, east, west } = getTileBounds(z, x, y);
+  const shift =
+    Math.round((map.getCenter().lng - (west + east) / 2) / 360) * 360;
+  return L.latLngBounds([south, west + shift], [north, east + shift]);
 }
 
 // Function to update the current view
 function updateView() {
-  // Clear both layers before switching views
-  gridLayerGroup.clearLayers();
+  // Grid lines are kept between updates of the grid view
   cacheLayerGroup.clearLayers();
+  if (isShowingCache || useVectorTiles) {
+    clearGridLayers();
+  }
 
   if (isShowingCache) {
-    // Remove grid layer and add cache layer
+    // Remove grid layers and add cache layer
     map.removeLayer(gridLayerGroup);
+    map.removeLayer(vectorGridLayer);
     map.addLayer(cacheLayerGroup);
     updateCacheVisualization();
+  } else if (useVectorTiles) {
+    // Vector tiles load themselves as the map moves
+    map.removeLayer(cacheLayerGroup);
+    map.removeLayer(gridLayerGroup);
+    map.addLayer(vectorGridLayer);
   } else {
     // Remove cache layer and add grid layer
     map.removeLayer(cacheLayerGroup);
+    map.removeLayer(vectorGridLayer);
     map.addLayer(gridLayerGroup);
     fetchAndDisplayGeoJSON();
   }
@@ -474,35 +1660,32 @@ function updateView() {
 
 // Function to visualize cached tiles
 async function updateCacheVisualization() {
-  const bounds = map.getBounds();
   const zoom = map.getZoom();
+  const { sequence, signal } = startViewportRequest();
 
-  // Get current cache status
-  const response = await fetch(
-    `/api/grid?north=${bounds.getNorth()}&south=${bounds.getSouth()}&east=${bounds.getEast()}&west=${bounds.getWest()}&zoom=${zoom}`
-  );
-  const data = await response.json();
-
-  // Get tile information
-  const { tiles: tileNames } = getTileNames(
-    {
-      north: bounds.getNorth(),
-      south: bounds.getSouth(),
-      east: bounds.getEast(),
-      west: bounds.getWest(),
-    },
-    zoom
-  );
+  try {
+    // Get cache status for every tile in the viewport
+    const response = await fetch(
+      `/api/cache/tiles?${getBoundsQuery()}&zoom=${zoom}&system=${gridSystem}`,
+      { signal }
+    );
+    const data = await response.json();
 
-  // Create rectangles for cached tiles
-  tileNames.forEach(async (tileName) => {
-    const [z, x, y] = tileName.split("/").map(Number);
-    const key = createTileKey(tileName);
+    // Drop responses for viewports that have since changed
+    if (isStale(sequence)) {
+      return;
+    }
 
-    try {
-      const contentKey = await getCache(key);
-      if (contentKey) {
-        const bounds = getTileBounds(z, x, y);
+    if (!response.ok) {
+      showApiError(data);
+      return;
+    }
+
+    // Create rectangles for cached tiles
+    data.tiles
+      .filter((tile) => tile.status === "hit")
+      .forEach((tile) => {
+        const bounds = getTileLatLngBounds(tile.z, tile.x, tile.y);
         L.rectangle(bounds, {
           color: "#2980b9", // Darker blue border
           weight: 2, // Thicker border
@@ -510,10 +1693,19 @@ async function updateCacheVisualization() {
           fillOpacity: 0.4, // More opaque
           dashArray: "5, 5", // Dashed border
           className: "cache-box", // Add class for hover effects
-        }).addTo(cacheLayerGroup);
-      }
-    } catch (error) {
-      console.error("Error checking cache for tile:", tileName, error);
+        })
+          .bindTooltip(
+            `${tile.tile}${tile.prefetched ? " (prefetched)" : ""}<br>
+            ${tile.featureCount} features<br>
+            Expires in ${tile.ttl}s<br>
+            <code>${tile.contentKey}</code>`
+          )
+          .addTo(cacheLayerGroup);
+      });
+  } catch (error) {
+    if (error.name === "AbortError") {
+      return;
     }
-  });
+    console.error("Error fetching tile cache status:", error);
+  }
 }
@@ -0,0 +1,146 @@
+// Web Mercator tile math shared by the server and the map. Longitudes wrap
+// around the antimeridian and latitudes are clamped to the part of the
+// world the map can show, so any viewport maps to a valid tile range.
+//
+// Bounds are { north, south, east, west } in degrees. A viewport that
+// crosses the antimeridian has east < west (e.g. west 170, east -170), or
+// east beyond 180 as Leaflet reports it (west 170, east 190).
+
+// Latitude limit of the Web Mercator map
+const MAX_LATITUDE = 85.0511287798066;
+
+// Number of tiles along each axis at a zoom level
+function tileCount(zoom) {
+  return Math.pow(2, zoom);
+}
+
+// Clamp a latitude to the Web Mercator limit
+function clampLatitude(lat) {
+  return Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+}
+
+// Wrap a longitude into [-180, 180)
+function wrapLongitude(lng) {
+  return ((((lng + 180) % 360) + 360) % 360) - 180;
+}
+
+// Wrap a tile column into [0, 2^zoom)
+function wrapTileX(x, zoom) {
+  const n = tileCount(zoom);
+  return ((x % n) + n) % n;
+}
+
+// Fractional tile column of a longitude, without wrapping
+function lngToTileX(lng, zoom) {
+  return ((lng + 180) / 360) * tileCount(zoom);
+}
+
+// Fractional tile row of a latitude, after clamping it
+function latToTileY(lat, zoom) {
+  const φ = (clampLatitude(lat) * Math.PI) / 180;
+  return (
+    ((1 - Math.log(Math.tan(φ) + 1 / Math.cos(φ)) / Math.PI) / 2) *
+    tileCount(zoom)
+  );
+}
+
+// Tile containing a point
+function latLngToTile(lat, lng, zoom) {
+  const n = tileCount(zoom);
+  return {
+    x: Math.min(n - 1, Math.floor(lngToTileX(wrapLongitude(lng), zoom))),
+    y: Math.max(0, Math.min(n - 1, Math.floor(latToTileY(lat, zoom)))),
+  };
+}
+
+// Latitude and longitude of a tile's north-west corner
+function tileToLatLng(z, x, y) {
+  const n = Math.PI - (2 * Math.PI * y) / tileCount(z);
+  return {
+    lat: (180 / Math.PI) * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n))),
+    lng: (x / tileCount(z)) * 360 - 180,
+  };
+}
+
+// Bounds of a tile
+function getTileBounds(z, x, y) {
+  const nw = tileToLatLng(z, x, y);
+  const se = tileToLatLng(z, x + 1, y + 1);
+  return { north: nw.lat, south: se.lat, east: se.lng, west: nw.lng };
+}
+
+// Clamp the latitudes of bounds and wrap the longitudes into [-180, 180],
+// keeping east < west for bounds that cross the antimeridian. Bounds that
+// are a full turn or more wide cover -180 to 180.
+function normalizeBounds({ north, south, east, west }) {
+  let width = east - west;
+  if (width < 0) {
+    width += 360;
+  }
+  if (width >= 360) {
+    west = -180;
+    east = 180;
+  } else {
+    west = wrapLongitude(west);
+    east = west + width > 180 ? west + width - 360 : west + width;
+  }
+  return {
+    north: clampLatitude(north),
+    south: clampLatitude(south),
+    east,
+    west,
+  };
+}
+
+// Range of tiles covering the bounds at a zoom level. Columns run from
+// x.min to x.max without wrapping, so x.max can be past the last column
+// for bounds that cross the antimeridian; wrap them with wrapTileX().
+function getTileRange(bounds, zoom) {
+  const { north, south, east, west } = normalizeBounds(bounds);
+  const n = tileCount(zoom);
+  const width = east < west ? east - west + 360 : east - west;
+
+  const minX = Math.floor(lngToTileX(west, zoom));
+  const maxX = Math.max(minX, Math.ceil(lngToTileX(west + width, zoom)) - 1);
+  return {
+    x: { min: minX, max: Math.min(maxX, minX + n - 1) },
+    y: {
+      min: Math.max(0, Math.floor(latToTileY(north, zoom))),
+      max: Math.min(n - 1, Math.floor(latToTileY(south, zoom))),
+    },
+  };
+}
+
+// Tiles covering the bounds at a zoom level, with wrapped columns
+function listTiles(bounds, zoom) {
+  const range = getTileRange(bounds, zoom);
+  const tiles = [];
+  for (let y = range.y.min; y <= range.y.max; y++) {
+    for (let x = range.x.min; x <= range.x.max; x++) {
+      tiles.push({ z: zoom, x: wrapTileX(x, zoom), y });
+    }
+  }
+  return tiles;
+}
+
+// Count the tiles covering the bounds at a zoom level without listing
+// them
+function countTiles(bounds, zoom) {
+  const { x, y } = getTileRange(bounds, zoom);
+  return (x.max - x.min + 1) * Math.max(0, y.max - y.min + 1);
+}
+
+export {
+  MAX_LATITUDE,
+  tileCount,
+  clampLatitude,
+  wrapLongitude,
+  wrapTileX,
+  latLngToTile,
+  tileToLatLng,
+  getTileBounds,
+  normalizeBounds,
+  getTileRange,
+  listTiles,
+  countTiles,
+};
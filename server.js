@@ -2,10 +2,74 @@ import express from "express";
 import cors from "cors";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
-import { setupDatabase } from "./db/generate-grid.js";
+import { once } from "events";
+import { getCellAt } from "./db/generate-grid.js";
+import { encodeLineName } from "./db/line-names.js";
+import {
+  gridDefinitions,
+  gridSystems,
+  isProjected,
+  getGridBySpacing,
+  getGridForZoom,
+  getLineStyle,
+} from "./db/grid-definitions.js";
+import {
+  DEFAULT_REGION,
+  loadRegions,
+  findRegion,
+  createRegion,
+} from "./db/regions.js";
+import {
+  TILE_TTL,
+  getCacheBackend,
+  createTileKey,
+  createVectorTileKey,
+  syncCacheGenerations,
+  hashContent,
+  setCache,
+  getCache,
+  invalidateCache,
+  createLineFeature,
+  getCachedTileFeatures,
+  queryGridLines,
+  queryTileFeatures,
+  getTileNames,
+  countWarmTiles,
+  warmCache,
+} from "./db/tile-cache.js";
+import {
+  tileCount,
+  wrapTileX,
+  getTileRange,
+  countTiles,
+} from "./public/tile-math.js";
+import {
+  renderMetrics,
+  tileCacheRequests,
+  contentCacheRequests,
+  cacheErrors,
+  queryDuration,
+  featuresReturned,
+  queueWait,
+  throttledRequests,
+} from "./db/metrics.js";
+import {
+  validationError,
+  validate,
+  checkBounds,
+  sendError,
+  validateRequest,
+} from "./db/validation.js";
+import { EXPORT_FORMATS } from "./db/export.js";
+import {
+  parseOverlay,
+  createOverlay,
+  getOverlay,
+  findOverlayLines,
+  findOverlayCells,
+} from "./db/overlays.js";
+import { createLocalTileSource, getBasemaps } from "./db/basemaps.js";
 import pg from "pg";
-import { setTimeout } from "timers/promises";
-import Memcached from "memcached";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -15,140 +79,431 @@ const port = 3001;
 
 app.use(cors());
 
+// Rate limits are keyed on the client address. TRUST_PROXY is the number
+// of proxies in front of the backend whose X-Forwarded-For is believed,
+// so it must only be set when the backend can't be reached around them.
+app.set("trust proxy", Number(process.env.TRUST_PROXY) || 0);
+app.use(express.json({ limit: "5mb" }));
+
 // Serve static files from the public directory
 app.use(express.static(join(__dirname, "public")));
 
-// Create database pool
-const pool = new pg.Pool({
-  connectionString:
-    process.env.POSTGRES_URL || "postgres://postgres:postgres@db:5432/gis",
-});
-
-// Initialize Memcached client
-const memcached = new Memcached(process.env.MEMCACHED_URL || "memcache:11211", {
-  retries: 3,
-  retry: 1000,
-  timeout: 500,
-  reconnect: 1000,
-});
+// Serve the map libraries from their npm packages, at the paths the
+// frontend image copies them to
+app.use(
+  "/vendor/leaflet",
+  express.static(join(__dirname, "node_modules", "leaflet", "dist"))
+);
+app.use(
+  "/vendor/leaflet.vectorgrid",
+  express.static(join(__dirname, "node_modules", "leaflet.vectorgrid", "dist"))
+);
+
+// Regions known to the server, refreshed when regions are added
+let regions = [DEFAULT_REGION];
+
+// Most tiles a single viewport request may look up
+const MAX_VIEWPORT_TILES = parseInt(process.env.MAX_VIEWPORT_TILES) || 256;
+
+// Parameter schemas shared by several routes
+const boundsSchema = {
+  north: { type: "number", required: true, min: -90, max: 90 },
+  south: { type: "number", required: true, min: -90, max: 90 },
+  east: { type: "number", required: true, min: -180, max: 180 },
+  west: { type: "number", required: true, min: -180, max: 180 },
+};
 
-// Add request tracking
-const requestTracker = {
-  activeRequests: 0,
-  lastRequestTime: 0,
-  baseDelay: 100, // Base delay in ms
-  maxDelay: 10000, // Maximum delay in ms
-  windowSize: 500, // Time window in ms to consider requests "concurrent"
-  activeRequests: new Set(), // Track active request IDs
-  lastRequestId: 0,
+// Zoom level of a map view. The map can be at a fractional zoom level,
+// which is rounded to the zoom level of the tiles it shows.
+const zoomField = {
+  type: "number",
+  required: true,
+  min: 0,
+  max: 22,
+  parse: Math.round,
+};
 
-  getCurrentDelay() {
-    const activeCount = this.activeRequests.size;
-    if (activeCount === 0) {
-      return 0;
+const systemField = { type: "string", oneOf: () => gridSystems };
+
+// An optional region name, resolved to the region. Missing means all
+// regions.
+const regionField = {
+  type: "string",
+  default: null,
+  parse(name) {
+    const region = findRegion(regions, name);
+    if (!region) {
+      throw validationError(
+        "UNKNOWN_REGION",
+        `Unknown region: ${name}`,
+        "region"
+      );
     }
-
-    return Math.min(this.baseDelay * Math.pow(2, activeCount), this.maxDelay);
+    return region;
   },
+};
 
-  async trackRequest() {
-    const requestId = ++this.lastRequestId;
-    this.activeRequests.add(requestId);
-
-    // Calculate delay based on concurrent requests
-    const activeCount = this.activeRequests.size;
-    const delay = Math.min(
-      this.baseDelay * Math.pow(2, activeCount - 1),
-      this.maxDelay
+// Check the bounds of a viewport and that it doesn't cover too many tiles.
+// Viewports can cross the antimeridian.
+function checkViewport(values) {
+  checkBounds(values, { wrap: true });
+  const tileCount = countTiles(values, values.zoom);
+  if (tileCount > MAX_VIEWPORT_TILES) {
+    throw validationError(
+      "TOO_MANY_TILES",
+      `Viewport covers ${tileCount} tiles at zoom ${values.zoom}, more than ${MAX_VIEWPORT_TILES}`,
+      "zoom"
     );
+  }
+}
 
-    // Apply delay if needed
-    if (delay > 0) {
-      console.log(
-        `Delaying request ${requestId} by ${delay}ms (active: ${activeCount})`
+const viewportSchema = {
+  ...boundsSchema,
+  zoom: zoomField,
+  system: systemField,
+  region: regionField,
+};
+
+// Per-client rate limiting with token buckets. Each client can make a
+// burst of `capacity` requests, refilled at `refillRate` per second.
+function createRateLimiter(capacity, refillRate) {
+  return {
+    capacity,
+    refillRate,
+    buckets: new Map(), // Client id -> { tokens, updatedAt }
+
+    // Refill a client's bucket for the time passed since its last update
+    getBucket(clientId) {
+      const now = Date.now();
+      const bucket = this.buckets.get(clientId) || {
+        tokens: this.capacity,
+        updatedAt: now,
+      };
+      bucket.tokens = Math.min(
+        this.capacity,
+        bucket.tokens + ((now - bucket.updatedAt) / 1000) * this.refillRate
       );
-      await setTimeout(delay);
+      bucket.updatedAt = now;
+      this.buckets.set(clientId, bucket);
+      return bucket;
+    },
+
+    // Take a token for a request. Returns how long to wait before retrying
+    // if the bucket is empty.
+    take(clientId) {
+      const bucket = this.getBucket(clientId);
+      if (bucket.tokens < 1) {
+        return {
+          allowed: false,
+          remaining: 0,
+          retryAfter: Math.ceil((1 - bucket.tokens) / this.refillRate),
+        };
+      }
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens) };
+    },
+
+    // Forget clients whose buckets have refilled completely
+    prune() {
+      for (const [clientId, bucket] of this.buckets) {
+        const idle = (Date.now() - bucket.updatedAt) / 1000;
+        if (bucket.tokens + idle * this.refillRate >= this.capacity) {
+          this.buckets.delete(clientId);
+        }
+      }
+    },
+  };
+}
+
+const rateLimiter = createRateLimiter(
+  parseInt(process.env.RATE_LIMIT_BURST) || 20,
+  parseFloat(process.env.RATE_LIMIT_PER_SECOND) || 5
+);
+
+// Overlays are kept until removed from the database, so each client may
+// only upload a few of them, refilled over the hour
+const overlayUploadLimiter = createRateLimiter(
+  parseInt(process.env.OVERLAY_UPLOAD_BURST) || 5,
+  (parseFloat(process.env.OVERLAY_UPLOADS_PER_HOUR) || 20) / 3600
+);
+
+setInterval(() => {
+  rateLimiter.prune();
+  overlayUploadLimiter.prune();
+}, 60000).unref();
+
+// Concurrency limit in front of PostGIS. At most `maxConcurrent` requests
+// query the database at once; others wait in a queue of `maxQueueDepth`.
+// A request holding a slot runs at most `queriesPerSlot` queries at once.
+const dbLimiter = {
+  maxConcurrent: parseInt(process.env.DB_MAX_CONCURRENT) || 4,
+  maxQueueDepth: parseInt(process.env.DB_MAX_QUEUE) || 50,
+  queriesPerSlot: parseInt(process.env.DB_QUERIES_PER_SLOT) || 4,
+  active: 0,
+  queue: [], // Resolvers of waiting requests, oldest first
+
+  // Wait for a database slot. Rejects with a 429 error if the queue is
+  // full, and leaves the queue if the signal aborts while waiting.
+  async acquire(signal) {
+    signal?.throwIfAborted();
+    const startTime = Date.now();
+    let position = 0;
+
+    if (this.active >= this.maxConcurrent) {
+      if (this.queue.length >= this.maxQueueDepth) {
+        throttledRequests.inc({ reason: "queue_full" });
+        const error = new Error("Database queue is full");
+        error.status = 429;
+        error.code = "QUEUE_FULL";
+        error.retryAfter = 1;
+        throw error;
+      }
+      position = this.queue.length + 1;
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          this.queue.splice(this.queue.indexOf(next), 1);
+          reject(signal.reason);
+        };
+        const next = () => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve();
+        };
+        signal?.addEventListener("abort", onAbort, { once: true });
+        this.queue.push(next);
+      });
+    } else {
+      this.active++;
     }
-    return { delay, activeCount, requestId };
-  },
 
-  completeRequest(requestId) {
-    this.activeRequests.delete(requestId);
+    const waited = Date.now() - startTime;
+    queueWait.observe(waited / 1000);
+    return { position, waited };
   },
-};
 
-// Create cache key from OSM tile name
-function createTileKey(tileName) {
-  // Validate tile name format (z/x/y)
-  const parts = tileName.split("/");
-  if (parts.length !== 3) {
-    throw new Error(`Invalid tile name format: ${tileName}`);
-  }
+  // Take a slot only if one is free and nobody is waiting for it. Used
+  // by low priority work that should never hold up requests.
+  tryAcquire() {
+    if (this.active >= this.maxConcurrent || this.queue.length > 0) {
+      return false;
+    }
+    this.active++;
+    return true;
+  },
 
-  // Add prefix to avoid collisions with other cache keys
-  return `tile:${tileName}`;
-}
+  // Hand the slot to the next queued request, or free it
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  },
 
-// Create cache key for a set of tiles
+  // Run a function while holding a database slot
+  async run(fn, signal) {
+    const slot = await this.acquire(signal);
+    try {
+      return { slot, result: await fn() };
+    } finally {
+      this.release();
+    }
+  },
 
-// Create cache key from JSON content
-function createContentKey(data) {
-  // Stringify with sorted keys for consistency
-  const str = JSON.stringify(data, Object.keys(data).sort());
+  // Run a single query on the pool while holding a database slot, so the
+  // limiter can stand in for the pool as a query client
+  async query(text, values) {
+    return (await this.run(() => pool.query(text, values))).result;
+  },
 
-  // Create a simple hash of the string
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = (hash << 5) - hash + char;
-    hash = hash & hash; // Convert to 32-bit integer
-  }
+  // Call `fn` on each item from within a slot, at most `queriesPerSlot`
+  // at once, and return the results in order
+  async map(items, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index]);
+      }
+    };
+    await Promise.all(
+      Array.from(
+        { length: Math.min(this.queriesPerSlot, items.length) },
+        worker
+      )
+    );
+    return results;
+  },
 
-  // Convert to base36 for shorter strings
-  const hashStr = Math.abs(hash).toString(36);
+  getState() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent,
+      maxQueueDepth: this.maxQueueDepth,
+    };
+  },
+};
 
-  // Add prefix and timestamp for versioning
-  return `content:${hashStr}`;
-}
+// Create database pool. Every query goes through the limiter, so each
+// slot gets its share of connections and none wait on the pool.
+const pool = new pg.Pool({
+  connectionString:
+    process.env.POSTGRES_URL || "postgres://postgres:postgres@db:5432/gis",
+  max: dbLimiter.maxConcurrent * dbLimiter.queriesPerSlot,
+});
 
-// Store JSON in cache with expiration
-function setCache(key, value, expires = 300) {
-  // default 5 minutes
-  return new Promise((resolve, reject) => {
-    memcached.set(key, JSON.stringify(value), expires, (err) => {
-      if (err) {
-        console.error(`Cache set error for key ${key}:`, err);
-        reject(err);
-      } else {
+// Run a query on its own connection, cancelling it on the server if the
+// signal aborts. The cancel request is sent on a separate connection of
+// its own, so it doesn't wait for a pool slot, and the client only goes
+// back to the pool once the server has handled it, so the cancel can't
+// hit the next query on the same connection. Its latency is recorded
+// under `name`.
+async function cancellableQuery(signal, text, values, name = "tile") {
+  signal?.throwIfAborted();
+  const client = await pool.connect();
+  let released = false;
+  let cancelling = null;
+  const cancel = () => {
+    if (released || !client.activeQuery) {
+      return;
+    }
+    const canceller = new pg.Client(pool.options);
+    cancelling = new Promise((resolve) => {
+      canceller.connection.once("end", resolve);
+      canceller.connection.once("error", (error) => {
+        console.error("Error cancelling query:", error);
         resolve();
-      }
+      });
     });
-  });
+    canceller.cancel(client, client.activeQuery);
+  };
+
+  signal?.addEventListener("abort", cancel, { once: true });
+  const startTime = performance.now();
+  try {
+    signal?.throwIfAborted();
+    return await client.query(text, values);
+  } finally {
+    queryDuration.observe((performance.now() - startTime) / 1000, {
+      query: name,
+    });
+    signal?.removeEventListener("abort", cancel);
+    await cancelling;
+    released = true;
+    client.release();
+  }
 }
 
-// Retrieve JSON from cache
-function getCache(key) {
-  return new Promise((resolve, reject) => {
-    memcached.get(key, (err, data) => {
-      if (err) {
-        console.error(`Cache get error for key ${key}:`, err);
-        reject(err);
-      } else {
-        resolve(data ? JSON.parse(data) : null);
-      }
+// Run a query on the pool, recording its latency under `name`
+async function timedQuery(name, text, values) {
+  const startTime = performance.now();
+  try {
+    return await pool.query(text, values);
+  } finally {
+    queryDuration.observe((performance.now() - startTime) / 1000, {
+      query: name,
     });
+  }
+}
+
+// Abort signal for a request that fires if the client disconnects before
+// the response is sent
+function createDisconnectSignal(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
   });
+  return controller.signal;
+}
+
+// Require the ADMIN_TOKEN bearer token on admin endpoints. Admin
+// endpoints are disabled when no token is configured.
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    sendError(res, 403, "ADMIN_DISABLED", "Admin endpoints are disabled");
+    return;
+  }
+  if (req.get("Authorization") !== `Bearer ${token}`) {
+    sendError(res, 401, "UNAUTHORIZED", "Admin token required");
+    return;
+  }
+  next();
+}
+
+// Reject a request with 429 if the client has used up its rate limit,
+// the general one unless another limiter is given. Returns the remaining
+// token count otherwise.
+function checkRateLimit(req, res, limiter = rateLimiter) {
+  const { allowed, remaining, retryAfter } = limiter.take(req.ip);
+  if (!allowed) {
+    throttledRequests.inc({ reason: "rate_limit" });
+    res.set("Retry-After", String(retryAfter));
+    sendError(res, 429, "RATE_LIMITED", "Too many requests", { retryAfter });
+    return null;
+  }
+  return remaining;
+}
+
+// Merge features that share a line name into a single feature. Lines
+// clipped to several tiles come back as separate pieces, and identical
+// pieces can appear more than once when content is shared between tiles.
+// Returns the merged features and how many pieces were merged into
+// another feature of the same line.
+function mergeLineFeatures(features) {
+  const merged = new Map();
+  let piecesMerged = 0;
+
+  for (const feature of features) {
+    const name = feature.properties.name;
+    const parts =
+      feature.geometry.type === "MultiLineString"
+        ? feature.geometry.coordinates
+        : [feature.geometry.coordinates];
+
+    if (!merged.has(name)) {
+      merged.set(name, {
+        feature: { ...feature, id: name },
+        parts: new Map(),
+      });
+    } else {
+      piecesMerged++;
+    }
+
+    // Keep each distinct piece of the line once
+    const entry = merged.get(name);
+    for (const part of parts) {
+      entry.parts.set(JSON.stringify(part), part);
+    }
+  }
+
+  return {
+    features: Array.from(merged.values()).map(({ feature, parts }) => ({
+      ...feature,
+      geometry:
+        parts.size === 1
+          ? { type: "LineString", coordinates: [...parts.values()][0] }
+          : { type: "MultiLineString", coordinates: [...parts.values()] },
+    })),
+    piecesMerged,
+  };
 }
 
 // Get grid lines from database
-async function getGridLines(bounds, zoomLevel) {
-  // Don't query grid lines for zoom levels 10 or less
-  if (zoomLevel <= 10) {
+async function getGridLines(bounds, zoomLevel, system, region = null, signal) {
+  // Don't query grid lines for zoom levels without a grid
+  const grid = getGridForZoom(zoomLevel, system);
+  if (!grid) {
     return {
       cached: [],
       queried: [],
       cacheStats: {
         cached: 0,
+        prefetched: 0,
         total: 0,
       },
     };
@@ -156,213 +511,1400 @@ async function getGridLines(bounds, zoomLevel) {
 
   // Get tile names for this request
   const { tiles: tileNames } = getTileNames(bounds, zoomLevel);
+  const gridType = grid.type;
 
-  // Check if we have cached content keys for these tiles
-  const cachedContentKeys = await Promise.all(
-    tileNames.map((tile) => getCache(createTileKey(tile)))
+  // Look every tile up on its own so each cache entry only covers its tile
+  const cachedContents = await Promise.all(
+    tileNames.map((tile) => getCachedTileFeatures(tile, gridType, region))
+  );
+  const uncachedTiles = tileNames.filter(
+    (tile, index) => !cachedContents[index]
   );
 
-  // Track which tiles have cached content
-  const cachedTiles = new Map();
-  const uncachedTiles = new Set();
+  // Count cache hits on tiles that were filled by prefetching
+  const prefetchHits = tileNames.filter(
+    (tile, index) =>
+      cachedContents[index] &&
+      prefetcher.claim(createTileKey(tile, gridType, region))
+  ).length;
+
+  // Query the missing tiles while holding a database slot
+  let queried = [];
+  if (uncachedTiles.length > 0) {
+    const { result } = await dbLimiter.run(
+      () =>
+        dbLimiter.map(uncachedTiles, (tile) =>
+          queryTileFeatures(
+            (text, values) => cancellableQuery(signal, text, values),
+            tile,
+            gridType,
+            region
+          )
+        ),
+      signal
+    );
+    queried = result.flat();
+  }
 
-  tileNames.forEach((tile, index) => {
-    if (cachedContentKeys[index]) {
-      cachedTiles.set(tile, cachedContentKeys[index]);
-    } else {
-      uncachedTiles.add(tile);
+  return {
+    cached: cachedContents.filter(Boolean).flat(),
+    queried,
+    cacheStats: {
+      cached: tileNames.length - uncachedTiles.length,
+      prefetched: prefetchHits,
+      total: tileNames.length,
+    },
+  };
+}
+
+// Background prefetching of tiles the client is likely to ask for next.
+// Prefetches only run while the database limiter has a free slot and no
+// queued requests, one tile at a time, and stop as soon as it is busy.
+const prefetcher = {
+  enabled: process.env.PREFETCH !== "off",
+  maxQueueDepth: parseInt(process.env.PREFETCH_MAX_QUEUE) || 200,
+  queue: new Map(), // Tile key -> { tileName, gridType, region }
+  prefetched: new Map(), // Tile key -> expiry time of the prefetched entry
+  running: false,
+  stats: { queued: 0, fetched: 0, skipped: 0, dropped: 0, hits: 0 },
+
+  // Queue the ring of tiles around the viewport, and the tiles of the
+  // next zoom level if it switches to another grid
+  schedule(bounds, zoomLevel, system, region) {
+    const grid = getGridForZoom(zoomLevel, system);
+    if (!this.enabled || !grid) {
+      return;
+    }
+
+    const { tiles, bounds: range } = getTileNames(bounds, zoomLevel);
+    // Columns wrap around the antimeridian, so a viewport as wide as
+    // the map has no columns around it
+    const size = tileCount(zoomLevel);
+    const allColumns = range.x.max - range.x.min + 1 >= size;
+    for (let y = range.y.min - 1; y <= range.y.max + 1; y++) {
+      for (let x = range.x.min - 1; x <= range.x.max + 1; x++) {
+        const inViewport =
+          (allColumns || (x >= range.x.min && x <= range.x.max)) &&
+          y >= range.y.min &&
+          y <= range.y.max;
+        if (!inViewport && y >= 0 && y < size) {
+          this.add(
+            `${zoomLevel}/${wrapTileX(x, zoomLevel)}/${y}`,
+            grid.type,
+            region
+          );
+        }
+      }
+    }
+
+    const nextGrid = getGridForZoom(zoomLevel + 1, system);
+    if (nextGrid && nextGrid.type !== grid.type) {
+      for (const tile of tiles) {
+        const [z, x, y] = tile.split("/").map(Number);
+        for (const [dx, dy] of [
+          [0, 0],
+          [1, 0],
+          [0, 1],
+          [1, 1],
+        ]) {
+          this.add(
+            `${z + 1}/${2 * x + dx}/${2 * y + dy}`,
+            nextGrid.type,
+            region
+          );
+        }
+      }
     }
-  });
 
-  // If we have content keys, try to get content from cache
-  const uniqueContentKeys = [...new Set(cachedContentKeys.filter(Boolean))];
-  const cachedContents =
-    uniqueContentKeys.length > 0
-      ? await Promise.all(uniqueContentKeys.map((key) => getCache(key)))
-      : [];
+    this.drain();
+  },
+
+  // Queue a tile, dropping the oldest queued tile if the queue is full
+  add(tileName, gridType, region) {
+    const key = createTileKey(tileName, gridType, region);
+    if (this.queue.has(key)) {
+      return;
+    }
+    if (this.queue.size >= this.maxQueueDepth) {
+      this.queue.delete(this.queue.keys().next().value);
+      this.stats.dropped++;
+    }
+    this.queue.set(key, { tileName, gridType, region });
+    this.stats.queued++;
+  },
+
+  // Fetch queued tiles until the queue is empty or the database is busy
+  async drain() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    try {
+      while (this.queue.size > 0) {
+        const [key, { tileName, gridType, region }] = this.queue
+          .entries()
+          .next().value;
+        this.queue.delete(key);
+
+        if (await getCache(key)) {
+          this.stats.skipped++;
+          continue;
+        }
+
+        if (!dbLimiter.tryAcquire()) {
+          // Put the tile back for the next drain
+          this.queue.set(key, { tileName, gridType, region });
+          break;
+        }
+        try {
+          await queryTileFeatures(
+            (text, values) => timedQuery("tile", text, values),
+            tileName,
+            gridType,
+            region
+          );
+        } finally {
+          dbLimiter.release();
+        }
+        this.prefetched.set(key, Date.now() + TILE_TTL * 1000);
+        this.stats.fetched++;
+      }
+    } catch (error) {
+      console.error("Error prefetching tiles:", error);
+    } finally {
+      this.running = false;
+    }
+  },
+
+  // Record a cache hit on a tile. Returns true the first time a
+  // prefetched tile is served.
+  claim(key) {
+    if (!this.prefetched.delete(key)) {
+      return false;
+    }
+    this.stats.hits++;
+    return true;
+  },
 
-  // Collect all cached features
-  const cachedFeatures = cachedContents.filter(Boolean).flat();
+  // Forget prefetched tiles whose cache entries have expired
+  prune() {
+    const now = Date.now();
+    for (const [key, expiresAt] of this.prefetched) {
+      if (expiresAt <= now) {
+        this.prefetched.delete(key);
+      }
+    }
+  },
 
-  // If everything is cached, return early
-  if (uncachedTiles.size === 0) {
+  getStats() {
     return {
-      cached: cachedFeatures,
-      queried: [],
-      cacheStats: {
-        cached: cachedTiles.size,
-        total: tileNames.length,
-      },
+      ...this.stats,
+      pending: this.queue.size,
+      hitRate: this.stats.fetched
+        ? Math.round((this.stats.hits / this.stats.fetched) * 100) / 100
+        : 0,
     };
-  }
+  },
+};
+
+setInterval(() => prefetcher.prune(), 60000).unref();
+
+// How long browsers and the nginx proxy may reuse grid responses before
+// revalidating them, in seconds. Kept short so cache invalidations reach
+// clients quickly, while revalidations are answered from the ETag.
+const GRID_MAX_AGE = 60;
+
+// Weak ETag of the grid lines within bounds, from the cache keys of their
+// tiles. The keys change when their zoom level is invalidated, so the tag
+// is known before any lines are loaded or queried.
+function getGridETag(bounds, zoomLevel, system, region) {
+  const grid = getGridForZoom(zoomLevel, system);
+  const keys = grid
+    ? getTileNames(bounds, zoomLevel).tiles.map((tile) =>
+        createTileKey(tile, grid.type, region)
+      )
+    : [];
+  return `W/"${hashContent(keys)}"`;
+}
 
-  // Determine grid type based on zoom level
-  let gridType;
-  if (zoomLevel > 17) {
-    gridType = "50m";
-  } else if (zoomLevel > 13) {
-    gridType = "100m";
-  } else {
-    gridType = "500m";
+// Whether the client already holds the response with these caching
+// headers, in which case they are left set for the 304. Otherwise they
+// are removed again and only set once the response succeeds, so error
+// responses are never cached.
+function isFresh(req, res, headers) {
+  res.set(headers);
+  if (req.fresh) {
+    return true;
   }
+  for (const name of Object.keys(headers)) {
+    res.removeHeader(name);
+  }
+  return false;
+}
 
-  // Calculate bounding box for uncached tiles
-  const uncachedBounds = {
-    north: -90,
-    south: 90,
-    east: -180,
-    west: 180,
-  };
+app.get(
+  "/api/grid",
+  validateRequest("query", viewportSchema, checkViewport),
+  async (req, res) => {
+    const { north, south, east, west, system, region } = req.valid;
+    const bounds = { north, south, east, west };
+    const zoomLevel = req.valid.zoom;
 
-  // Function to convert tile coordinates to lat/lng
-  function tile2LatLng(z, x, y) {
-    const n = Math.PI - (2 * Math.PI * y) / Math.pow(2, z);
-    return {
-      lat: (180 / Math.PI) * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n))),
-      lng: (x / Math.pow(2, z)) * 360 - 180,
+    if (checkRateLimit(req, res) === null) {
+      return;
+    }
+
+    // Answer clients holding the current lines before loading them. The
+    // tag is weak since the metadata differs between requests for the
+    // same lines. Responses are shared through the nginx proxy, so they
+    // carry no state of the client or its request.
+    const cacheHeaders = {
+      ETag: getGridETag(bounds, zoomLevel, system, region),
+      "Cache-Control": `public, max-age=${GRID_MAX_AGE}`,
     };
+    if (isFresh(req, res, cacheHeaders)) {
+      res.status(304).end();
+      return;
+    }
+
+    // Stop queued or running queries if the client goes away
+    const signal = createDisconnectSignal(res);
+
+    try {
+      const { cached, queried, cacheStats } = await getGridLines(
+        bounds,
+        zoomLevel,
+        system,
+        region,
+        signal
+      );
+
+      // Combine pieces of the same line from different tiles
+      const { features, piecesMerged } = mergeLineFeatures([
+        ...cached,
+        ...queried,
+      ]);
+      featuresReturned.observe(features.length);
+
+      // Warm the cache around the viewport once the response is on its way
+      res.on("finish", () =>
+        prefetcher.schedule(bounds, zoomLevel, system, region)
+      );
+
+      res.set(cacheHeaders);
+      res.json({
+        type: "FeatureCollection",
+        features,
+        metadata: {
+          cacheInfo: {
+            cached: cached.length,
+            queried: queried.length,
+            piecesMerged,
+            zoomLevel: zoomLevel,
+            tilesInZoom: {
+              cached: cacheStats.cached,
+              prefetched: cacheStats.prefetched,
+              total: cacheStats.total,
+            },
+            prefetch: prefetcher.getStats(),
+          },
+        },
+      });
+    } catch (error) {
+      if (signal.aborted) {
+        console.log("Cancelled grid request after client disconnected");
+        return;
+      }
+
+      if (error.status === 429) {
+        res.set("Retry-After", String(error.retryAfter));
+        sendError(res, 429, error.code, error.message, {
+          retryAfter: error.retryAfter,
+        });
+        return;
+      }
+
+      console.error("Error fetching grid lines:", error);
+      res.status(500).json({
+        type: "FeatureCollection",
+        features: [],
+      });
+    }
+  }
+);
+
+// Build a Mapbox Vector Tile of the grid lines in an OSM tile
+async function getVectorTile(z, x, y, system, region = null) {
+  // Don't render grid lines for zoom levels without a grid
+  const grid = getGridForZoom(z, system);
+  if (!grid) {
+    return Buffer.alloc(0);
   }
 
-  // Calculate bounds for uncached area
-  Array.from(uncachedTiles).forEach((tile) => {
-    const [z, x, y] = tile.split("/").map(Number);
-    const nw = tile2LatLng(z, x, y);
-    const se = tile2LatLng(z, x + 1, y + 1);
-    uncachedBounds.north = Math.max(uncachedBounds.north, nw.lat);
-    uncachedBounds.south = Math.min(uncachedBounds.south, se.lat);
-    uncachedBounds.east = Math.max(uncachedBounds.east, se.lng);
-    uncachedBounds.west = Math.min(uncachedBounds.west, nw.lng);
+  const key = createVectorTileKey(z, x, y, grid.type, region);
+  const cached = await getCache(key);
+  tileCacheRequests.inc({
+    zoom: z,
+    source: "mvt",
+    result: cached !== null ? "hit" : "miss",
   });
+  if (cached !== null) {
+    return Buffer.from(cached, "base64");
+  }
 
-  // Query database for grid lines
-  const result = await pool.query(
-    `
-    SELECT 
-      name,
-      color,
-      ST_AsGeoJSON(geom)::json as geometry
-    FROM geolines 
-    WHERE line_type = $1
-    AND ST_Intersects(
-      geom,
-      ST_MakeEnvelope($2, $3, $4, $5, 4326)
+  const gridType = grid.type;
+  const style = getLineStyle(gridType);
+  const { result } = await dbLimiter.run(() =>
+    timedQuery(
+      "mvt",
+      `
+    WITH bounds AS (
+      SELECT ST_TileEnvelope($1, $2, $3) AS geom
+    ),
+    lines AS (
+      SELECT
+        name,
+        color,
+        $5::int as weight,
+        $6::float as opacity,
+        $7::text as "dashArray",
+        ST_AsMVTGeom(ST_Transform(geolines.geom, 3857), bounds.geom) AS geom
+      FROM geolines, bounds
+      WHERE line_type = $4
+      AND ($8::int IS NULL OR region = $8)
+      AND ST_Intersects(geolines.geom, ST_Transform(bounds.geom, 4326))
     )
+    SELECT ST_AsMVT(lines.*, 'grid') AS tile FROM lines
   `,
-    [
-      gridType,
-      uncachedBounds.west,
-      uncachedBounds.south,
-      uncachedBounds.east,
-      uncachedBounds.north,
-    ]
+      [
+        z,
+        x,
+        y,
+        gridType,
+        style.weight,
+        style.opacity,
+        style.dashArray ?? null,
+        region ? region.code : null,
+      ]
+    )
   );
 
-  // Convert query results to GeoJSON features
-  const features = result.rows.map((row) => ({
-    type: "Feature",
-    properties: {
-      name: row.name,
-      color: row.color,
-      weight: 2,
-      opacity: 0.7,
-      dashArray:
-        gridType === "50m"
-          ? "10, 10"
-          : gridType === "100m"
-          ? "15, 10"
-          : undefined,
+  const tile = result.rows[0].tile || Buffer.alloc(0);
+  await setCache(key, tile.toString("base64"), 3600);
+  return tile;
+}
+
+// Route parameters of a map tile
+const tileParamsSchema = {
+  z: { ...zoomField, type: "integer" },
+  x: { type: "integer", required: true, min: 0 },
+  y: { type: "integer", required: true, min: 0 },
+};
+
+// Reject tiles outside the map at their zoom level
+function checkTile({ z, x, y }) {
+  if (x >= tileCount(z) || y >= tileCount(z)) {
+    throw validationError(
+      "INVALID_TILE",
+      `Tile ${z}/${x}/${y} is outside the map`,
+      x >= tileCount(z) ? "x" : "y"
+    );
+  }
+}
+
+// Serve grid lines as Mapbox Vector Tiles
+app.get(
+  "/api/tiles/:z/:x/:y.mvt",
+  validateRequest("params", tileParamsSchema, checkTile),
+  validateRequest("query", { system: systemField, region: regionField }),
+  async (req, res) => {
+    const { z, x, y, system, region } = req.valid;
+
+    // Tag the tile by its cache key, so revalidations are answered
+    // without building it
+    const grid = getGridForZoom(z, system);
+    const cacheHeaders = {
+      ETag: `"${hashContent(
+        grid ? createVectorTileKey(z, x, y, grid.type, region) : null
+      )}"`,
+      "Cache-Control": `public, max-age=${GRID_MAX_AGE}`,
+    };
+    if (isFresh(req, res, cacheHeaders)) {
+      res.status(304).end();
+      return;
+    }
+
+    try {
+      const tile = await getVectorTile(z, x, y, system, region);
+      res.set(cacheHeaders);
+      res.type("application/vnd.mapbox-vector-tile").send(tile);
+    } catch (error) {
+      if (error.status === 429) {
+        res.set("Retry-After", String(error.retryAfter));
+        sendError(res, 429, error.code, error.message, {
+          retryAfter: error.retryAfter,
+        });
+        return;
+      }
+      console.error("Error building vector tile:", error);
+      res.status(500).json({ error: "Failed to build vector tile" });
+    }
+  }
+);
+
+// Most grid lines a single export may contain
+const MAX_EXPORT_FEATURES = parseInt(process.env.MAX_EXPORT_FEATURES) || 50000;
+
+// Export the grid lines of a grid type within bounds or a region as a file
+app.get(
+  "/api/export",
+  validateRequest(
+    "query",
+    {
+      north: { type: "number", min: -90, max: 90 },
+      south: { type: "number", min: -90, max: 90 },
+      east: { type: "number", min: -180, max: 180 },
+      west: { type: "number", min: -180, max: 180 },
+      region: regionField,
+      type: {
+        type: "string",
+        required: true,
+        oneOf: () => gridDefinitions.map((grid) => grid.type),
+      },
+      format: {
+        type: "string",
+        default: "geojson",
+        oneOf: Object.keys(EXPORT_FORMATS),
+      },
     },
-    geometry: row.geometry,
-  }));
+    (values) => {
+      // Export the bounds if given, or else the whole region
+      const sides = ["north", "south", "east", "west"];
+      const given = sides.filter((side) => values[side] !== undefined);
+      if (given.length === 0) {
+        if (!values.region) {
+          throw validationError(
+            "MISSING_PARAMETER",
+            "bounds or region is required",
+            "region"
+          );
+        }
+        values.bounds = values.region.bounds;
+        return;
+      }
+      const missing = sides.find((side) => values[side] === undefined);
+      if (missing) {
+        throw validationError(
+          "MISSING_PARAMETER",
+          `${missing} is required with the other bounds`,
+          missing
+        );
+      }
+      values.bounds = Object.fromEntries(
+        sides.map((side) => [side, values[side]])
+      );
+      checkBounds(values.bounds, { wrap: true });
+    }
+  ),
+  async (req, res) => {
+    const { bounds, region, type, format } = req.valid;
+
+    // Bounds crossing the antimeridian are queried on either side of it,
+    // like the tiles of /api/grid, and the pieces merged by line
+    const parts =
+      bounds.east < bounds.west
+        ? [
+            { ...bounds, east: 180 },
+            { ...bounds, west: -180 },
+          ]
+        : [bounds];
+
+    if (checkRateLimit(req, res) === null) {
+      return;
+    }
 
-  // Create content key and store in cache
-  const contentKey = createContentKey(features);
-  await setCache(contentKey, features);
+    // Stop queued or running queries if the client goes away
+    const signal = createDisconnectSignal(res);
+
+    let pieces;
+    try {
+      ({ result: pieces } = await dbLimiter.run(async () => {
+        const found = [];
+        for (const part of parts) {
+          found.push(
+            ...(await queryGridLines(
+              (text, values) =>
+                cancellableQuery(signal, text, values, "export"),
+              part,
+              type,
+              region,
+              MAX_EXPORT_FEATURES + 1 - found.length
+            ))
+          );
+        }
+        return found;
+      }, signal));
+    } catch (error) {
+      if (signal.aborted) {
+        console.log("Cancelled export after client disconnected");
+        return;
+      }
+      if (error.status === 429) {
+        res.set("Retry-After", String(error.retryAfter));
+        sendError(res, 429, error.code, error.message, {
+          retryAfter: error.retryAfter,
+        });
+        return;
+      }
+      console.error("Error exporting grid lines:", error);
+      res.status(500).json({ error: "Failed to export grid lines" });
+      return;
+    }
 
-  // Store content key in tile caches
-  await Promise.all(
-    Array.from(uncachedTiles).map((tile) =>
-      setCache(createTileKey(tile), contentKey, 3600)
-    )
-  );
+    if (pieces.length > MAX_EXPORT_FEATURES) {
+      sendError(
+        res,
+        413,
+        "EXPORT_TOO_LARGE",
+        `Export has more than ${MAX_EXPORT_FEATURES} lines, choose smaller bounds`
+      );
+      return;
+    }
 
-  return {
-    cached: cachedFeatures,
-    queried: features,
-    cacheStats: {
-      cached: cachedTiles.size,
-      total: tileNames.length,
+    // The lines are all loaded first so their pieces can be merged. The
+    // file is then streamed as it is written, waiting whenever the client
+    // falls behind. The Shapefile comes as one chunk, since it has to be
+    // complete before it is zipped.
+    const { features } = mergeLineFeatures(pieces);
+    const { extension, contentType, write } = EXPORT_FORMATS[format];
+    res.type(contentType);
+    res.attachment(`grid-${type}.${extension}`);
+    try {
+      for (const chunk of write(features, type)) {
+        if (!res.write(chunk)) {
+          await once(res, "drain", { signal });
+        }
+      }
+    } catch (error) {
+      if (signal.aborted) {
+        console.log("Cancelled export after client disconnected");
+        return;
+      }
+      // The headers are sent, so the client can only be told by cutting
+      // the download short
+      console.error("Error writing export:", error);
+      res.destroy(error);
+      return;
+    }
+    res.end();
+  }
+);
+
+// Look up a single grid line by its four-word name
+app.get(
+  "/api/lines/:name",
+  validateRequest("params", {
+    name: {
+      type: "string",
+      required: true,
+      pattern: /^\s*[a-z]+(-[a-z]+){3}\s*$/i,
+      message: "name must be four words joined by dashes",
+      parse: (name) => name.trim().toLowerCase(),
     },
-  };
-}
+  }),
+  async (req, res) => {
+    const { name } = req.valid;
+
+    try {
+      const result = await dbLimiter.query(
+        `
+      SELECT
+        name,
+        color,
+        line_type,
+        region,
+        ST_AsGeoJSON(geom)::json as geometry,
+        ST_XMin(geom) as west,
+        ST_YMin(geom) as south,
+        ST_XMax(geom) as east,
+        ST_YMax(geom) as north
+      FROM geolines
+      WHERE name = $1
+    `,
+        [name]
+      );
 
-app.get("/api/grid", async (req, res) => {
-  const bounds = {
-    north: parseFloat(req.query.north) || 60.1819,
-    south: parseFloat(req.query.south) || 60.1619,
-    east: parseFloat(req.query.east) || 24.9514,
-    west: parseFloat(req.query.west) || 24.9314,
-  };
+      if (result.rows.length === 0) {
+        sendError(res, 404, "LINE_NOT_FOUND", `No grid line named ${name}`);
+        return;
+      }
 
-  const zoomLevel = parseFloat(req.query.zoom) || 15;
+      const row = result.rows[0];
+      res.json({
+        feature: createLineFeature(row, row.line_type),
+        gridType: row.line_type,
+        region: regions.find((region) => region.code === row.region)?.name,
+        color: row.color,
+        bbox: {
+          north: row.north,
+          south: row.south,
+          east: row.east,
+          west: row.west,
+        },
+      });
+    } catch (error) {
+      if (error.status === 429) {
+        res.set("Retry-After", String(error.retryAfter));
+        sendError(res, 429, error.code, error.message, {
+          retryAfter: error.retryAfter,
+        });
+        return;
+      }
+      console.error("Error looking up grid line:", error);
+      res.status(500).json({ error: "Failed to look up grid line" });
+    }
+  }
+);
 
+// List the regions grids are generated in
+app.get("/api/regions", async (req, res) => {
   try {
-    // Start request tracking
-    let delay = 0;
-    let activeCount = 0;
-    let requestId;
+    regions = await loadRegions(dbLimiter);
+    res.json(regions);
+  } catch (error) {
+    if (error.status === 429) {
+      res.set("Retry-After", String(error.retryAfter));
+      sendError(res, 429, error.code, error.message, {
+        retryAfter: error.retryAfter,
+      });
+      return;
+    }
+    console.error("Error loading regions:", error);
+    res.status(500).json({ error: "Failed to load regions" });
+  }
+});
 
-    // Get grid data first to check if everything is cached
-    const { cached, queried, cacheStats } = await getGridLines(
-      bounds,
-      zoomLevel
-    );
+// Add a region. Its grids are generated with the generate-grid command.
+app.post(
+  "/api/regions",
+  requireAdmin,
+  validateRequest(
+    "body",
+    {
+      name: {
+        type: "string",
+        required: true,
+        pattern: /^[a-z0-9-]{1,64}$/,
+        message: "name must be 1-64 lowercase letters, digits or dashes",
+      },
+      bounds: { type: "object" },
+      boundary: { type: "object" },
+    },
+    (values) => {
+      if (!values.bounds && !values.boundary) {
+        throw validationError(
+          "MISSING_PARAMETER",
+          "bounds or boundary is required",
+          "bounds"
+        );
+      }
+      if (values.bounds && !values.boundary) {
+        values.bounds = validate(values.bounds, boundsSchema);
+        checkBounds(values.bounds);
+      }
+    }
+  ),
+  async (req, res) => {
+    let region;
+    try {
+      region = await createRegion(dbLimiter, req.valid);
+    } catch (error) {
+      if (error.status === 429) {
+        res.set("Retry-After", String(error.retryAfter));
+        sendError(res, 429, error.code, error.message, {
+          retryAfter: error.retryAfter,
+        });
+        return;
+      }
+      // Unique violation on the region name
+      if (error.code === "23505") {
+        sendError(
+          res,
+          409,
+          "REGION_EXISTS",
+          `Region already exists: ${req.valid.name}`
+        );
+      } else if (error.code) {
+        console.error("Error creating region:", error);
+        sendError(res, 400, "INVALID_BOUNDARY", "Invalid region boundary");
+      } else {
+        sendError(res, 400, "INVALID_REGION", error.message);
+      }
+      return;
+    }
 
-    // Only apply delay if we had to query the database
-    if (queried.length > 0) {
-      // Track request and apply delay if needed
-      ({ delay, activeCount, requestId } = await requestTracker.trackRequest());
+    try {
+      regions = await loadRegions(dbLimiter);
+    } catch (error) {
+      console.error("Error loading regions:", error);
+      res.status(500).json({ error: "Failed to load regions" });
+      return;
     }
+    res.status(201).json({
+      ...region,
+      generate: `npm run generate-grid -- --region ${region.name}`,
+    });
+  }
+);
+
+// List the configured grids
+app.get("/api/grids", (req, res) => {
+  res.json(gridDefinitions);
+});
+
+// Local basemap tiles, from a directory or an MBTiles file
+const localTiles = await createLocalTileSource(process.env.LOCAL_TILES);
 
-    // Complete request tracking
-    if (requestId) {
-      requestTracker.completeRequest(requestId);
+// Basemaps offered by the map, the first one shown by default
+const basemaps = getBasemaps(
+  process.env.BASEMAPS ||
+    (localTiles ? "local,osm,topo,blank" : "osm,topo,blank"),
+  localTiles
+);
+
+// List the configured basemaps
+app.get("/api/basemaps", (req, res) => {
+  res.json(basemaps);
+});
+
+// Serve basemap tiles from the local tile source
+app.get(
+  "/tiles/:z/:x/:y.png",
+  validateRequest("params", tileParamsSchema, checkTile),
+  async (req, res) => {
+    const { z, x, y } = req.valid;
+
+    if (!localTiles) {
+      sendError(res, 404, "NO_LOCAL_TILES", "No local tiles are configured");
+      return;
     }
 
-    res.json({
-      type: "FeatureCollection",
-      features: [...cached, ...queried],
-      metadata: {
-        currentDelay: delay,
-        activeRequests: activeCount,
-        cacheInfo: {
-          cached: cached.length,
-          queried: queried.length,
-          zoomLevel: zoomLevel,
-          tilesInZoom: {
-            cached: cacheStats.cached,
-            total: cacheStats.total,
-          },
+    try {
+      const tile = await localTiles.get(z, x, y);
+      if (!tile) {
+        sendError(res, 404, "TILE_NOT_FOUND", `No local tile ${z}/${x}/${y}`);
+        return;
+      }
+      res.set("Cache-Control", "public, max-age=86400");
+      res.type(localTiles.contentType).send(tile);
+    } catch (error) {
+      console.error("Error reading local tile:", error);
+      res.status(500).json({ error: "Failed to read local tile" });
+    }
+  }
+);
+
+// Find the grid cell containing a point
+app.get(
+  "/api/cell",
+  validateRequest(
+    "query",
+    {
+      lat: { type: "number", required: true, min: -90, max: 90 },
+      lng: { type: "number", required: true, min: -180, max: 180 },
+      size: { type: "integer", default: 100, min: 1 },
+      system: systemField,
+      region: regionField,
+    },
+    (values) => {
+      values.grid = getGridBySpacing(values.size, values.system);
+      if (!values.grid) {
+        throw validationError(
+          "UNKNOWN_GRID",
+          `No grid with ${values.size}m spacing`,
+          "size"
+        );
+      }
+    }
+  ),
+  async (req, res) => {
+    const { lat, lng, size, grid } = req.valid;
+
+    // Cells are addressed within a region. Without one, use the first
+    // region whose bounding box contains the point.
+    const region =
+      req.valid.region ||
+      regions.find(
+        ({ bounds }) =>
+          lat >= bounds.south &&
+          lat < bounds.north &&
+          lng >= bounds.west &&
+          lng < bounds.east
+      ) ||
+      DEFAULT_REGION;
+
+    try {
+      // Projected grids address cells in their own coordinate system
+      let point = { x: lng, y: lat };
+      if (isProjected(grid)) {
+        const result = await dbLimiter.query(
+          `
+        SELECT ST_X(point) as x, ST_Y(point) as y
+        FROM ST_Transform(
+          ST_SetSRID(ST_MakePoint($1, $2), 4326),
+          $3::int
+        ) as point
+      `,
+          [lng, lat, grid.srid]
+        );
+        point = result.rows[0];
+      }
+
+      const cell = getCellAt(point.x, point.y, grid.type, region);
+      if (!cell) {
+        sendError(res, 400, "OUTSIDE_GRID", "Point is outside the grid");
+        return;
+      }
+
+      // Resolve edge line names against the lines stored in the database
+      const edgeNames = Object.fromEntries(
+        Object.entries(cell.edges).map(([side, line]) => [
+          side,
+          encodeLineName(line),
+        ])
+      );
+      const result = await dbLimiter.query(
+        "SELECT name FROM geolines WHERE name = ANY($1)",
+        [Object.values(edgeNames)]
+      );
+      const storedNames = new Set(result.rows.map((row) => row.name));
+
+      // Build the cell polygon in WGS84
+      const { north, south, east, west } = cell.bounds;
+      const polygon = await dbLimiter.query(
+        `
+      SELECT
+        ST_AsGeoJSON(geom)::json as geometry,
+        ST_XMin(geom) as west,
+        ST_YMin(geom) as south,
+        ST_XMax(geom) as east,
+        ST_YMax(geom) as north
+      FROM ST_Transform(
+        ST_Segmentize(ST_MakeEnvelope($1, $2, $3, $4, $5::int), $6),
+        4326
+      ) as geom
+    `,
+        [west, south, east, north, grid.srid, isProjected(grid) ? size / 4 : 1]
+      );
+      const { geometry, ...bounds } = polygon.rows[0];
+
+      res.json({
+        id: cell.id,
+        size,
+        region: region.name,
+        system: grid.system,
+        srid: grid.srid,
+        edges: Object.fromEntries(
+          Object.entries(edgeNames).map(([side, name]) => [
+            side,
+            storedNames.has(name) ? name : null,
+          ])
+        ),
+        bounds,
+        nativeBounds: cell.bounds,
+        geometry,
+      });
+    } catch (error) {
+      if (error.status === 429) {
+        res.set("Retry-After", String(error.retryAfter));
+        sendError(res, 429, error.code, error.message, {
+          retryAfter: error.retryAfter,
+        });
+        return;
+      }
+      console.error("Error looking up grid cell:", error);
+      res.status(500).json({ error: "Failed to look up grid cell" });
+    }
+  }
+);
+
+// Store an uploaded route or area so it can be intersected with the grid
+app.post(
+  "/api/overlays",
+  // Check the upload limit before parsing the upload
+  (req, res, next) => {
+    if (checkRateLimit(req, res, overlayUploadLimiter) !== null) {
+      next();
+    }
+  },
+  validateRequest(
+    "body",
+    {
+      name: {
+        type: "string",
+        default: null,
+        pattern: /^.{1,255}$/,
+        message: "name must be at most 255 characters",
+      },
+      format: {
+        type: "string",
+        default: "geojson",
+        oneOf: ["geojson", "gpx", "kml"],
+      },
+      data: { required: true },
+    },
+    (values) => {
+      values.geometry = parseOverlay(values.format, values.data);
+    }
+  ),
+  async (req, res) => {
+    try {
+      const { result: overlay } = await dbLimiter.run(() =>
+        createOverlay(pool, req.valid)
+      );
+      res.status(201).json(overlay);
+    } catch (error) {
+      if (error.status === 429) {
+        res.set("Retry-After", String(error.retryAfter));
+        sendError(res, 429, error.code, error.message, {
+          retryAfter: error.retryAfter,
+        });
+        return;
+      }
+
+      // Errors from PostGIS mean the geometry couldn't be stored
+      console.error("Error storing overlay:", error);
+      if (error.code) {
+        sendError(res, 400, "INVALID_OVERLAY", "Invalid overlay geometry");
+      } else {
+        res.status(500).json({ error: "Failed to store overlay" });
+      }
+    }
+  }
+);
+
+// Most intersecting lines listed for an overlay
+const MAX_OVERLAY_LINES = 1000;
+
+// List the grid lines and cells an overlay crosses
+app.get(
+  "/api/overlays/:id/intersections",
+  validateRequest("params", {
+    id: { type: "integer", required: true, min: 1 },
+  }),
+  validateRequest("query", {
+    type: {
+      type: "string",
+      required: true,
+      oneOf: () => gridDefinitions.map((grid) => grid.type),
+    },
+    region: regionField,
+  }),
+  async (req, res) => {
+    const { id, type } = req.valid;
+
+    if (checkRateLimit(req, res) === null) {
+      return;
+    }
+
+    // Stop queued or running queries if the client goes away
+    const signal = createDisconnectSignal(res);
+
+    try {
+      const overlay = await getOverlay(dbLimiter, id);
+      if (!overlay) {
+        sendError(res, 404, "OVERLAY_NOT_FOUND", `No overlay with id ${id}`);
+        return;
+      }
+
+      // Cells are addressed within a region. Without one, use the first
+      // region whose bounding box overlaps the overlay.
+      const { bounds } = overlay;
+      const region =
+        req.valid.region ||
+        regions.find(
+          (candidate) =>
+            bounds.south < candidate.bounds.north &&
+            bounds.north >= candidate.bounds.south &&
+            bounds.west < candidate.bounds.east &&
+            bounds.east >= candidate.bounds.west
+        ) ||
+        DEFAULT_REGION;
+
+      // Run both intersections in one database slot
+      const client = {
+        query: (text, values) =>
+          cancellableQuery(signal, text, values, "overlay"),
+      };
+      const {
+        result: [lines, { cells, truncated }],
+      } = await dbLimiter.run(
+        () =>
+          Promise.all([
+            findOverlayLines(
+              client,
+              id,
+              type,
+              req.valid.region,
+              MAX_OVERLAY_LINES + 1
+            ),
+            findOverlayCells(client, id, type, region),
+          ]),
+        signal
+      );
+
+      res.json({
+        overlay: { id, name: overlay.name },
+        type,
+        region: region.name,
+        lines: lines.slice(0, MAX_OVERLAY_LINES),
+        cells,
+        truncated: {
+          lines: lines.length > MAX_OVERLAY_LINES,
+          cells: truncated,
+        },
+      });
+    } catch (error) {
+      if (signal.aborted) {
+        console.log("Cancelled overlay intersection after client disconnected");
+        return;
+      }
+      if (error.status === 429) {
+        res.set("Retry-After", String(error.retryAfter));
+        sendError(res, 429, error.code, error.message, {
+          retryAfter: error.retryAfter,
+        });
+        return;
+      }
+      if (error.status === 413) {
+        sendError(res, 413, error.code, error.message);
+        return;
+      }
+      console.error("Error intersecting overlay:", error);
+      res.status(500).json({ error: "Failed to intersect overlay" });
+    }
+  }
+);
+
+// Report the cache state of every tile in the viewport
+app.get(
+  "/api/cache/tiles",
+  validateRequest("query", viewportSchema, checkViewport),
+  async (req, res) => {
+    const { north, south, east, west, zoom, system, region } = req.valid;
+    const bounds = { north, south, east, west };
+
+    try {
+      const grid = getGridForZoom(zoom, system);
+      const { tiles: tileNames } = getTileNames(bounds, zoom);
+      const entries = await Promise.all(
+        tileNames.map((tile) =>
+          grid ? getCache(createTileKey(tile, grid.type, region)) : null
+        )
+      );
+
+      const now = Date.now();
+      const tiles = tileNames.map((tile, index) => {
+        const [z, x, y] = tile.split("/").map(Number);
+        const entry = entries[index];
+
+        if (!entry) {
+          return {
+            tile,
+            z,
+            x,
+            y,
+            status: "miss",
+            prefetched: false,
+            contentKey: null,
+            ttl: 0,
+            featureCount: 0,
+          };
+        }
+
+        return {
+          tile,
+          z,
+          x,
+          y,
+          status: "hit",
+          prefetched: prefetcher.prefetched.has(
+            createTileKey(tile, grid.type, region)
+          ),
+          contentKey: entry.contentKey,
+          ttl: Math.max(0, Math.round((entry.expiresAt - now) / 1000)),
+          featureCount: entry.featureCount,
+        };
+      });
+
+      res.json({
+        zoom,
+        tiles,
+        stats: {
+          cached: tiles.filter((tile) => tile.status === "hit").length,
+          prefetched: tiles.filter((tile) => tile.prefetched).length,
+          total: tiles.length,
+          prefetch: prefetcher.getStats(),
         },
+      });
+    } catch (error) {
+      console.error("Error inspecting tile cache:", error);
+      res.status(500).json({ zoom, tiles: [], stats: { cached: 0, total: 0 } });
+    }
+  }
+);
+
+// Most tiles a single cache warming job may cover
+const WARM_MAX_TILES = parseInt(process.env.WARM_MAX_TILES) || 20000;
+
+// The running or last finished cache warming job
+let warmJob = null;
+
+// Start warming the cache for a region or bounding box and zoom range
+app.post(
+  "/api/cache/warm",
+  requireAdmin,
+  validateRequest(
+    "body",
+    {
+      region: regionField,
+      bounds: { type: "object" },
+      minZoom: zoomField,
+      maxZoom: zoomField,
+      system: systemField,
+      concurrency: {
+        type: "integer",
+        default: 2,
+        min: 1,
+        max: dbLimiter.maxConcurrent,
       },
-    });
-  } catch (error) {
-    // Ensure request is marked complete even on error
-    if (requestId) {
-      requestTracker.completeRequest(requestId);
+    },
+    (values) => {
+      if (values.bounds) {
+        values.bounds = validate(values.bounds, boundsSchema);
+      } else if (values.region) {
+        values.bounds = values.region.bounds;
+      } else {
+        throw validationError(
+          "MISSING_PARAMETER",
+          "region or bounds is required",
+          "bounds"
+        );
+      }
+      checkBounds(values.bounds);
+
+      if (values.minZoom > values.maxZoom) {
+        throw validationError(
+          "INVALID_ZOOM_RANGE",
+          "minZoom must not be greater than maxZoom",
+          "minZoom"
+        );
+      }
+
+      values.total = countWarmTiles(
+        values.bounds,
+        values.minZoom,
+        values.maxZoom,
+        values.system
+      );
+      if (values.total > WARM_MAX_TILES) {
+        throw validationError(
+          "TOO_MANY_TILES",
+          `Cache warming covers ${values.total} tiles, more than ${WARM_MAX_TILES}`,
+          "maxZoom"
+        );
+      }
+    }
+  ),
+  (req, res) => {
+    const { region, bounds, minZoom, maxZoom, system, concurrency, total } =
+      req.valid;
+
+    if (warmJob?.status === "running") {
+      sendError(res, 409, "WARM_RUNNING", "Cache warming is already running", {
+        job: warmJob,
+      });
+      return;
     }
 
-    console.error("Error fetching grid lines:", error);
-    res.status(500).json({
-      type: "FeatureCollection",
-      features: [],
-    });
+    const job = {
+      status: "running",
+      region: region?.name ?? null,
+      bounds,
+      minZoom,
+      maxZoom,
+      system: system ?? null,
+      total,
+      done: 0,
+      cached: 0,
+      queried: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null,
+    };
+    warmJob = job;
+
+    // Queries share the database limiter with user requests
+    warmCache({
+      query: async (text, values) =>
+        (await dbLimiter.run(() => timedQuery("tile", text, values))).result,
+      bounds,
+      minZoom,
+      maxZoom,
+      system,
+      region,
+      concurrency,
+      onProgress: ({ done, cached, queried }) =>
+        Object.assign(job, { done, cached, queried }),
+    })
+      .then(() => {
+        job.status = "done";
+      })
+      .catch((error) => {
+        console.error("Error warming cache:", error);
+        job.status = "failed";
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+      });
+
+    res.status(202).json(job);
+  }
+);
+
+// Report the progress of the current cache warming job
+app.get("/api/cache/warm", requireAdmin, (req, res) => {
+  if (!warmJob) {
+    sendError(res, 404, "NO_WARM_JOB", "No cache warming job has run");
+    return;
   }
+  res.json(warmJob);
+});
+
+// Invalidate cached tiles by tile name prefix or zoom level, e.g. after
+// regenerating grids
+app.delete(
+  "/api/cache",
+  requireAdmin,
+  validateRequest("query", {
+    zoom: { ...zoomField, required: false },
+    prefix: {
+      type: "string",
+      pattern: /^\d+(\/\d*){0,2}$/,
+      message: "prefix must be the start of a z/x/y tile name",
+    },
+  }),
+  async (req, res) => {
+    const { zoom, prefix } = req.valid;
+
+    try {
+      const invalidated = await invalidateCache({ prefix, zoom });
+      res.json({ invalidated });
+    } catch (error) {
+      console.error("Error invalidating cache:", error);
+      res.status(500).json({ error: "Failed to invalidate cache" });
+    }
+  }
+);
+
+// Expose running metrics in the Prometheus text format
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
 });
 
+// Share of lookups that were hits, rounded to three decimals
+function hitRate(hits, misses) {
+  return hits + misses > 0
+    ? Math.round((hits / (hits + misses)) * 1000) / 1000
+    : 0;
+}
+
+// Convert a duration in seconds to milliseconds with one decimal, or
+// null if it is unknown
+function toMilliseconds(seconds) {
+  return Number.isFinite(seconds) ? Math.round(seconds * 10000) / 10 : null;
+}
+
+// Database queue state and the client's rate limit for the load panel.
+// Kept out of the cached grid responses, since it is different for every
+// client and request.
+app.get("/api/load", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({
+    queue: dbLimiter.getState(),
+    rateLimit: {
+      remaining: Math.floor(rateLimiter.getBucket(req.ip).tokens),
+      capacity: rateLimiter.capacity,
+    },
+  });
+});
+
+// Summarise the running metrics for the stats panel
+app.get("/api/stats", (req, res) => {
+  const tileHits = tileCacheRequests.get({ result: "hit" });
+  const tileMisses = tileCacheRequests.get({ result: "miss" });
+  const contentHits = contentCacheRequests.get({ result: "hit" });
+  const contentMisses = contentCacheRequests.get({ result: "miss" });
+
+  // Tile hit rates per zoom level, across GeoJSON and vector tiles
+  const byZoom = {};
+  for (const { labels, value } of tileCacheRequests.series()) {
+    byZoom[labels.zoom] = byZoom[labels.zoom] || { hits: 0, misses: 0 };
+    byZoom[labels.zoom][labels.result === "hit" ? "hits" : "misses"] += value;
+  }
+  for (const zoom of Object.values(byZoom)) {
+    zoom.hitRate = hitRate(zoom.hits, zoom.misses);
+  }
+
+  const queries = queryDuration.summary();
+  const features = featuresReturned.summary();
+  const waits = queueWait.summary();
+
+  res.json({
+    uptime: Math.round(process.uptime()),
+    cacheBackend: getCacheBackend().name,
+    tiles: {
+      hits: tileHits,
+      misses: tileMisses,
+      hitRate: hitRate(tileHits, tileMisses),
+      byZoom,
+    },
+    content: {
+      hits: contentHits,
+      misses: contentMisses,
+      hitRate: hitRate(contentHits, contentMisses),
+    },
+    cacheErrors: cacheErrors.get(),
+    queries: {
+      count: queries.count,
+      meanMs: toMilliseconds(queries.mean),
+      p95Ms: toMilliseconds(queries.p95),
+    },
+    features: {
+      responses: features.count,
+      total: features.sum,
+      mean: Math.round(features.mean),
+    },
+    throttling: {
+      waits: waits.count,
+      meanWaitMs: toMilliseconds(waits.mean),
+      p95WaitMs: toMilliseconds(waits.p95),
+      rateLimited: throttledRequests.get({ reason: "rate_limit" }),
+      queueFull: throttledRequests.get({ reason: "queue_full" }),
+    },
+    queue: dbLimiter.getState(),
+    prefetch: prefetcher.getStats(),
+  });
+});
+
+// Earth's radius in meters
+const EARTH_RADIUS = 6371000;
+
 // Calculate distance between two points in meters
 function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371000; // Earth's radius in meters
+  const R = EARTH_RADIUS;
   const φ1 = (lat1 * Math.PI) / 180;
   const φ2 = (lat2 * Math.PI) / 180;
   const Δφ = ((lat2 - lat1) * Math.PI) / 180;
@@ -376,121 +1918,276 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
-// Calculate OSM tile coordinates
-function calculateOSMTile(lat, lng, zoom) {
-  const tileX = Math.floor(((lng + 180) / 360) * Math.pow(2, zoom));
-  const tileY = Math.floor(
-    ((1 -
-      Math.log(
-        Math.tan((lat * Math.PI) / 180) + 1 / Math.cos((lat * Math.PI) / 180)
-      ) /
-        Math.PI) /
-      2) *
-      Math.pow(2, zoom)
-  );
-  return { tileX, tileY };
-}
+// Update the /api/info endpoint
+app.get(
+  "/api/info",
+  validateRequest("query", { ...boundsSchema, zoom: zoomField }, (values) =>
+    checkBounds(values, { wrap: true })
+  ),
+  (req, res) => {
+    const { north, south, east, west, zoom } = req.valid;
+    const bounds = { north, south, east, west };
+
+    // Calculate viewport dimensions using haversine formula
+    const viewportWidth = calculateDistance(
+      bounds.north,
+      bounds.west,
+      bounds.north,
+      bounds.east
+    );
+    const viewportHeight = calculateDistance(
+      bounds.north,
+      bounds.west,
+      bounds.south,
+      bounds.west
+    );
 
-// Get all OSM tile names within bounds at zoom level
-function getTileNames(bounds, zoomLevel) {
-  // Get tile coordinates for bounds corners
-  const nw = calculateOSMTile(bounds.north, bounds.west, zoomLevel);
-  const se = calculateOSMTile(bounds.south, bounds.east, zoomLevel);
+    // Calculate diagonal distance
+    const viewDiagonal = Math.sqrt(
+      Math.pow(viewportWidth, 2) + Math.pow(viewportHeight, 2)
+    );
 
-  // Create array to store tile names
-  const tileNames = [];
+    // Get tile range for the viewport. Columns are wrapped, so x.min is
+    // greater than x.max when the viewport crosses the antimeridian.
+    const range = getTileRange(bounds, zoom);
 
-  // Iterate over tile range
-  for (let y = nw.tileY; y <= se.tileY; y++) {
-    for (let x = nw.tileX; x <= se.tileX; x++) {
-      tileNames.push(`${zoomLevel}/${x}/${y}`);
-    }
-  }
-
-  // Get cache stats for this zoom level
-  const zoomStats = {
-    total: tileNames.length,
-    zoom: zoomLevel,
-    bounds: {
-      x: { min: nw.tileX, max: se.tileX },
-      y: { min: nw.tileY, max: se.tileY },
-    },
-  };
+    const info = {
+      zoom,
+      tiles: {
+        zoom,
+        x: {
+          min: wrapTileX(range.x.min, zoom),
+          max: wrapTileX(range.x.max, zoom),
+        },
+        y: range.y,
+      },
+      viewport: {
+        width: Math.round(viewportWidth),
+        height: Math.round(viewportHeight),
+        diagonal: Math.round(viewDiagonal),
+      },
+    };
 
-  return {
-    tiles: tileNames,
-    bounds: {
-      x: { min: nw.tileX, max: se.tileX },
-      y: { min: nw.tileY, max: se.tileY },
-    },
-    stats: zoomStats,
-    count: tileNames.length,
-  };
+    res.json(info);
+  }
+);
+
+// Calculate the area of a polygon on the same sphere as
+// calculateDistance(), in square meters
+function calculateArea(points) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  let total = 0;
+  points.forEach((p1, i) => {
+    const p2 = points[(i + 1) % points.length];
+    // Take the short way around across the antimeridian
+    let Δλ = toRadians(p2.lng - p1.lng);
+    if (Math.abs(Δλ) > Math.PI) {
+      Δλ -= Math.sign(Δλ) * 2 * Math.PI;
+    }
+    total +=
+      Δλ * (2 + Math.sin(toRadians(p1.lat)) + Math.sin(toRadians(p2.lat)));
+  });
+  return Math.abs((total * EARTH_RADIUS * EARTH_RADIUS) / 2);
 }
 
-// Update the /api/info endpoint
-app.get("/api/info", (req, res) => {
-  const zoom = parseInt(req.query.zoom);
-  const bounds = {
-    north: parseFloat(req.query.north),
-    south: parseFloat(req.query.south),
-    east: parseFloat(req.query.east),
-    west: parseFloat(req.query.west),
-  };
-
-  // Calculate viewport dimensions using haversine formula
-  const viewportWidth = calculateDistance(
-    bounds.north,
-    bounds.west,
-    bounds.north,
-    bounds.east
-  );
-  const viewportHeight = calculateDistance(
-    bounds.north,
-    bounds.west,
-    bounds.south,
-    bounds.west
+// Transform [x, y] points between coordinate systems
+async function transformPoints(points, fromSrid, toSrid) {
+  if (fromSrid === toSrid) {
+    return points;
+  }
+  const result = await timedQuery(
+    "transform",
+    `
+    SELECT ST_X(point) as x, ST_Y(point) as y
+    FROM unnest($1::float8[], $2::float8[]) WITH ORDINALITY AS input(x, y, i),
+      ST_Transform(ST_SetSRID(ST_MakePoint(input.x, input.y), $3::int), $4::int)
+        as point
+    ORDER BY input.i
+  `,
+    [points.map(([x]) => x), points.map(([, y]) => y), fromSrid, toSrid]
   );
+  return result.rows.map(({ x, y }) => [x, y]);
+}
 
-  // Calculate diagonal distance
-  const viewDiagonal = Math.sqrt(
-    Math.pow(viewportWidth, 2) + Math.pow(viewportHeight, 2)
+// Move points to the nearest corner of the grid cell they are in, which
+// is where two grid lines cross. Points outside the grid stay where they
+// are. Cells are addressed in `region`, or the region containing each
+// point.
+async function snapToGrid(points, grid, region) {
+  const native = await transformPoints(
+    points.map(({ lat, lng }) => [lng, lat]),
+    4326,
+    grid.srid
   );
 
-  // Get tile range for the viewport
-  const nw = calculateOSMTile(bounds.north, bounds.west, zoom);
-  const se = calculateOSMTile(bounds.south, bounds.east, zoom);
+  const snapped = native.map(([x, y], i) => {
+    const { lat, lng } = points[i];
+    const cell = getCellAt(
+      x,
+      y,
+      grid.type,
+      region ||
+        regions.find(
+          ({ bounds }) =>
+            lat >= bounds.south &&
+            lat < bounds.north &&
+            lng >= bounds.west &&
+            lng < bounds.east
+        ) ||
+        DEFAULT_REGION
+    );
+    if (!cell) {
+      return [x, y];
+    }
+    const { north, south, east, west } = cell.bounds;
+    return [
+      x - west < east - x ? west : east,
+      y - south < north - y ? south : north,
+    ];
+  });
 
-  const info = {
-    zoom,
-    tiles: {
-      zoom,
-      x: { min: nw.tileX, max: se.tileX },
-      y: { min: nw.tileY, max: se.tileY },
-    },
-    viewport: {
-      width: Math.round(viewportWidth),
-      height: Math.round(viewportHeight),
-      diagonal: Math.round(viewDiagonal),
+  const result = await transformPoints(snapped, grid.srid, 4326);
+  return result.map(([lng, lat]) => ({ lat, lng }));
+}
+
+// Most vertices in a single measurement
+const MAX_MEASURE_POINTS = 1000;
+
+// Measure the length of a line or the area of a polygon in meters and in
+// grid cells, optionally snapping the vertices to grid line crossings
+app.post(
+  "/api/measure",
+  validateRequest(
+    "body",
+    {
+      shape: { type: "string", default: "line", oneOf: ["line", "polygon"] },
+      points: { required: true },
+      size: { type: "integer", default: 100, min: 1 },
+      system: systemField,
+      region: regionField,
+      snap: { default: false, oneOf: [true, false] },
     },
-  };
+    (values) => {
+      if (
+        !Array.isArray(values.points) ||
+        values.points.length === 0 ||
+        values.points.length > MAX_MEASURE_POINTS
+      ) {
+        throw validationError(
+          "INVALID_VALUE",
+          `points must be a list of 1 to ${MAX_MEASURE_POINTS} points`,
+          "points"
+        );
+      }
+      values.points = values.points.map((point) =>
+        validate(point, {
+          lat: { type: "number", required: true, min: -90, max: 90 },
+          lng: { type: "number", required: true, min: -180, max: 180 },
+        })
+      );
 
-  res.json(info);
-});
+      values.grid = getGridBySpacing(values.size, values.system);
+      if (!values.grid) {
+        throw validationError(
+          "UNKNOWN_GRID",
+          `No grid with ${values.size}m spacing`,
+          "size"
+        );
+      }
+    }
+  ),
+  async (req, res) => {
+    const { shape, size, grid, region, snap } = req.valid;
+
+    let points = req.valid.points;
+    if (snap) {
+      // Snapping transforms the points in PostGIS, so it shares the rate
+      // limit and database queue of the other database requests
+      if (checkRateLimit(req, res) === null) {
+        return;
+      }
+      try {
+        ({ result: points } = await dbLimiter.run(() =>
+          snapToGrid(points, grid, region)
+        ));
+      } catch (error) {
+        if (error.status === 429) {
+          res.set("Retry-After", String(error.retryAfter));
+          sendError(res, 429, error.code, error.message, {
+            retryAfter: error.retryAfter,
+          });
+          return;
+        }
+        console.error("Error snapping points to grid:", error);
+        res.status(500).json({ error: "Failed to snap points to grid" });
+        return;
+      }
+    }
 
-// Add database check on startup
-async function checkDatabase() {
-  try {
-    await setupDatabase();
-  } catch (error) {
-    console.error("Failed to setup database:", error);
-    process.exit(1);
+    // Polygons are measured around their closing edge too
+    const path = shape === "polygon" ? [...points, points[0]] : points;
+    let distance = 0;
+    for (let i = 1; i < path.length; i++) {
+      distance += calculateDistance(
+        path[i - 1].lat,
+        path[i - 1].lng,
+        path[i].lat,
+        path[i].lng
+      );
+    }
+    const area =
+      shape === "polygon" && points.length >= 3 ? calculateArea(points) : null;
+
+    res.json({
+      shape,
+      points,
+      snapped: snap,
+      distance: Math.round(distance * 10) / 10,
+      area: area === null ? null : Math.round(area),
+      cells: {
+        size,
+        system: grid.system,
+        length: Math.round((distance / size) * 100) / 100,
+        area: area === null ? null : Math.round((area / size ** 2) * 100) / 100,
+      },
+    });
   }
+);
+
+// Report request bodies that aren't valid JSON or are over the size limit
+// as structured errors instead of the default HTML error page
+app.use((error, req, res, next) => {
+  if (error.type === "entity.parse.failed") {
+    sendError(res, 400, "INVALID_JSON", "Request body is not valid JSON");
+    return;
+  }
+  if (error.type === "entity.too.large") {
+    sendError(
+      res,
+      413,
+      "PAYLOAD_TOO_LARGE",
+      `Request body is larger than ${error.limit} bytes`
+    );
+    return;
+  }
+  next(error);
+});
+
+// Set up the cache backend and load its generations before starting the
+// server, stopping with one clear message if the backend is misconfigured
+try {
+  await syncCacheGenerations();
+} catch (error) {
+  console.error(`Could not set up the cache backend: ${error.message}`);
+  process.exit(1);
 }
 
-// Call before starting server
-await checkDatabase();
+// Load regions before starting server. Grid lines are generated
+// separately with the generate-grid command.
+regions = await loadRegions(pool);
 
 app.listen(port, () => {
   console.log(`Server running at http://localhost:${port}`);
+  console.log(`Cache backend: ${getCacheBackend().name}`);
+  console.log(`Basemaps: ${basemaps.map((basemap) => basemap.id).join(", ")}`);
 });
@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+
+// Grid definitions are read when the modules are loaded, so point them at
+// a fixture with a 10m degree grid first
+const __dirname = dirname(fileURLToPath(import.meta.url));
+process.env.GRID_DEFINITIONS = path.join(
+  __dirname,
+  "fixtures",
+  "grid-definitions.json"
+);
+
+const { encodeLineName, decodeLineName } = await import("../db/line-names.js");
+const { getCellAt } = await import("../db/generate-grid.js");
+const { DEFAULT_REGION, MAX_REGION_HEIGHT, createRegion } = await import(
+  "../db/regions.js"
+);
+
+test("a 10m degree grid fits across a region", () => {
+  const { north, south, east } = DEFAULT_REGION.bounds;
+  const corners = [
+    [east - 1e-6, south],
+    [east - 1e-6, north - 1e-6],
+  ];
+  for (const [x, y] of corners) {
+    const cell = getCellAt(x, y, "10m");
+    for (const edge of Object.values(cell.edges)) {
+      assert.deepEqual(decodeLineName(encodeLineName(edge)), edge);
+    }
+  }
+  // A region 15 degrees wide at the equator
+  const line = {
+    type: "10m",
+    orientation: "vertical",
+    band: MAX_REGION_HEIGHT - 1,
+    position: Math.ceil((15 * 111320) / 10),
+    region: 31,
+  };
+  assert.deepEqual(decodeLineName(encodeLineName(line)), line);
+});
+
+test("later degree grids only have bands for the tallest region", () => {
+  assert.throws(
+    () =>
+      encodeLineName({
+        type: "10m",
+        orientation: "horizontal",
+        band: MAX_REGION_HEIGHT,
+        position: 0,
+      }),
+    /Invalid latitude band/
+  );
+});
+
+test("regions taller than the line names allow are rejected", async () => {
+  await assert.rejects(
+    createRegion(null, {
+      name: "too-tall",
+      bounds: {
+        north: 60 + MAX_REGION_HEIGHT + 1,
+        south: 60,
+        east: 1,
+        west: 0,
+      },
+    }),
+    /at most 16 degrees/
+  );
+});
@@ -0,0 +1,134 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { encodeLineName, decodeLineName } from "../db/line-names.js";
+import { gridDefinitions, isProjected } from "../db/grid-definitions.js";
+import { getCellAt } from "../db/generate-grid.js";
+import { DEFAULT_REGION } from "../db/regions.js";
+
+// Names handed out since line names were introduced. They must never
+// change, whatever grids are added to or removed from the definitions.
+const PINNED_NAMES = [
+  [
+    { type: "50m", orientation: "vertical", band: 3, position: 42 },
+    "zone-free-salt-wave",
+  ],
+  [
+    { type: "100m", orientation: "horizontal", band: 0, position: 0 },
+    "them-know-lift-only",
+  ],
+  [
+    { type: "500m", orientation: "horizontal", band: 10, position: 222 },
+    "view-real-home-book",
+  ],
+  [
+    { type: "50m", orientation: "vertical", band: 0, position: 13965 },
+    "ship-join-wire-deep",
+  ],
+  [
+    {
+      type: "50m-tm35fin",
+      orientation: "horizontal",
+      band: 0,
+      position: 25600,
+    },
+    "wave-free-high-full",
+  ],
+  [
+    { type: "500m-tm35fin", orientation: "vertical", band: 0, position: 1460 },
+    "tank-gift-plot-vary",
+  ],
+];
+
+test("known lines keep their names", () => {
+  for (const [line, name] of PINNED_NAMES) {
+    assert.equal(encodeLineName(line), name);
+    assert.deepEqual(decodeLineName(name), { ...line, region: 0 });
+  }
+  assert.equal(
+    encodeLineName({
+      type: "100m",
+      orientation: "vertical",
+      band: 2,
+      position: 17,
+      region: 1,
+    }),
+    "used-sand-mark-cool"
+  );
+});
+
+test("the last lines of every grid have names", () => {
+  for (const grid of gridDefinitions) {
+    // The north-east corner cell of the grid in Finland
+    const [x, y] = isProjected(grid)
+      ? [grid.extent[2] - 1, grid.extent[3] - 1]
+      : [DEFAULT_REGION.bounds.east - 1e-6, DEFAULT_REGION.bounds.north - 1e-6];
+    const cell = getCellAt(x, y, grid.type);
+    for (const edge of Object.values(cell.edges)) {
+      assert.deepEqual(decodeLineName(encodeLineName(edge)), edge);
+    }
+  }
+});
+
+test("a 10m grid fits across the largest projected extent", () => {
+  const extents = gridDefinitions
+    .filter(isProjected)
+    .map((grid) => grid.extent);
+  const size = Math.max(
+    ...extents.flatMap(([minX, minY, maxX, maxY]) => [maxX - minX, maxY - minY])
+  );
+  for (const orientation of ["horizontal", "vertical"]) {
+    const line = {
+      type: "50m-tm35fin",
+      orientation,
+      band: 0,
+      position: Math.ceil(size / 10),
+      region: 31,
+    };
+    assert.deepEqual(decodeLineName(encodeLineName(line)), line);
+  }
+});
+
+test("projected lines only have band 0", () => {
+  assert.throws(
+    () =>
+      encodeLineName({
+        type: "100m-tm35fin",
+        orientation: "vertical",
+        band: 1,
+        position: 0,
+      }),
+    /Invalid latitude band/
+  );
+});
+
+test("names decode back to their lines", () => {
+  const lines = [
+    { type: "100m-tm35fin", orientation: "horizontal", band: 0, position: 7 },
+    { type: "500m-tm35fin", orientation: "vertical", band: 0, position: 0 },
+    { type: "500m", orientation: "vertical", band: 4, position: 9, region: 5 },
+  ];
+  for (const line of lines) {
+    assert.deepEqual(decodeLineName(encodeLineName(line)), {
+      region: 0,
+      ...line,
+    });
+  }
+});
+
+test("invalid names don't decode", () => {
+  assert.equal(decodeLineName("not-a-line-name"), null);
+  assert.equal(decodeLineName("zone-free-salt"), null);
+});
+
+test("unknown line types are rejected", () => {
+  assert.throws(
+    () =>
+      encodeLineName({
+        type: "1km",
+        orientation: "vertical",
+        band: 0,
+        position: 0,
+      }),
+    /Unknown line type/
+  );
+});
@@ -0,0 +1,107 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_LATITUDE,
+  latLngToTile,
+  normalizeBounds,
+  getTileRange,
+  listTiles,
+  countTiles,
+} from "../public/tile-math.js";
+
+// Helsinki city centre
+const HELSINKI = { lat: 60.1699, lng: 24.9384 };
+
+// A band around the equator crossing the antimeridian
+const ACROSS_ANTIMERIDIAN = { north: 10, south: -10, west: 170, east: -170 };
+
+test("points map to the OSM tiles containing them", () => {
+  assert.deepEqual(latLngToTile(HELSINKI.lat, HELSINKI.lng, 10), {
+    x: 582,
+    y: 296,
+  });
+  assert.deepEqual(latLngToTile(HELSINKI.lat, HELSINKI.lng, 15), {
+    x: 18653,
+    y: 9484,
+  });
+
+  // A tile at zoom 15 lies within its parent tile at zoom 10
+  const { x, y } = latLngToTile(HELSINKI.lat, HELSINKI.lng, 15);
+  assert.deepEqual({ x: x >> 5, y: y >> 5 }, { x: 582, y: 296 });
+});
+
+test("longitudes wrap and 180 is the first column", () => {
+  assert.deepEqual(latLngToTile(0, 180, 2), { x: 0, y: 2 });
+  assert.deepEqual(latLngToTile(0, -180, 2), { x: 0, y: 2 });
+  assert.deepEqual(latLngToTile(0, 190, 2), latLngToTile(0, -170, 2));
+});
+
+test("points beyond the Web Mercator limit map to the edge rows", () => {
+  assert.deepEqual(latLngToTile(89, 0, 3), { x: 4, y: 0 });
+  assert.deepEqual(latLngToTile(-89.9, 0, 3), { x: 4, y: 7 });
+  assert.deepEqual(latLngToTile(90, 0, 0), { x: 0, y: 0 });
+});
+
+test("bounds crossing the antimeridian keep east below west", () => {
+  assert.deepEqual(normalizeBounds(ACROSS_ANTIMERIDIAN), ACROSS_ANTIMERIDIAN);
+  assert.deepEqual(
+    normalizeBounds({ north: 10, south: -10, west: 170, east: 190 }),
+    ACROSS_ANTIMERIDIAN
+  );
+});
+
+test("latitudes beyond the poles are clamped", () => {
+  assert.deepEqual(
+    normalizeBounds({ north: 90, south: -90, west: -10, east: 10 }),
+    { north: MAX_LATITUDE, south: -MAX_LATITUDE, west: -10, east: 10 }
+  );
+  assert.deepEqual(
+    getTileRange({ north: 90, south: -90, west: -10, east: 10 }, 2).y,
+    { min: 0, max: 3 }
+  );
+});
+
+test("bounds a full turn or wider cover the whole map", () => {
+  assert.deepEqual(
+    normalizeBounds({ north: 1, south: 0, west: -200, east: 400 }),
+    { north: 1, south: 0, west: -180, east: 180 }
+  );
+
+  const world = { north: 90, south: -90, west: -180, east: 180 };
+  assert.deepEqual(getTileRange(world, 3), {
+    x: { min: 0, max: 7 },
+    y: { min: 0, max: 7 },
+  });
+  assert.equal(countTiles(world, 3), 64);
+  assert.equal(
+    countTiles({ north: 90, south: -90, west: -540, east: 540 }, 3),
+    64
+  );
+  assert.equal(listTiles(world, 3).length, 64);
+});
+
+test("tiles across the antimeridian come from both ends of the map", () => {
+  // Columns run on past the last column and are wrapped when listed
+  assert.deepEqual(getTileRange(ACROSS_ANTIMERIDIAN, 2), {
+    x: { min: 3, max: 4 },
+    y: { min: 1, max: 2 },
+  });
+  assert.deepEqual(listTiles(ACROSS_ANTIMERIDIAN, 2), [
+    { z: 2, x: 3, y: 1 },
+    { z: 2, x: 0, y: 1 },
+    { z: 2, x: 3, y: 2 },
+    { z: 2, x: 0, y: 2 },
+  ]);
+  assert.equal(countTiles(ACROSS_ANTIMERIDIAN, 2), 4);
+});
+
+test("tile counts match the listed tiles", () => {
+  const bounds = { north: 60.2, south: 60.1, west: 24.8, east: 25.1 };
+  for (const zoom of [0, 5, 10, 15]) {
+    assert.equal(countTiles(bounds, zoom), listTiles(bounds, zoom).length);
+  }
+  assert.ok(
+    listTiles(bounds, 10).some(({ x, y }) => x === 582 && y === 296),
+    "Helsinki's tile is listed"
+  );
+});